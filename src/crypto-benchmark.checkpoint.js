@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+// Author Website: https://david-osipov.vision
+// Author ISNI: 0000 0005 1802 960X
+// Author ISNI URL: https://isni.org/isni/000000051802960X
+// Author ORCID: 0009-0005-2713-9242
+// Author VIAF: 139173726847611590332
+// Author Wikidata: Q130604188
+// Version: 4.6.3
+// Run checkpoints for the crypto benchmark: finished cells persisted to IndexedDB under the runId,
+// so a run interrupted by a reload or a crashed worker can resume with only the missing cells.
+//
+// A checkpoint is only resumable by the same script version, the same measurement config and
+// the same environment fingerprint; anything else would mix incomparable measurements.
+
+const DB_NAME = "crypto-benchmark";
+const DB_VERSION = 1;
+const STORE = "checkpoints";
+
+/**
+ * @typedef {Object} RunCheckpoint
+ * @property {string} runId
+ * @property {string} scriptVersion
+ * @property {string} configHash      SHA-256 (hex) of the canonical measurement config.
+ * @property {string} envFingerprint  SHA-256 (hex) of the stable environment properties.
+ * @property {string[]} modes
+ * @property {string} createdAt       ISO timestamp.
+ * @property {string} updatedAt       ISO timestamp.
+ * @property {Object[]} results       Finished result rows, in completion order.
+ */
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const idb = globalThis.indexedDB;
+    if (!idb) { reject(new Error("IndexedDB unavailable")); return; }
+    const req = idb.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "runId" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error("IndexedDB open failed"));
+  });
+}
+
+// Run one request against the store and close the connection when its transaction settles
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      let value;
+      if (req) req.onsuccess = () => { value = req.result; };
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error || new Error("IndexedDB transaction failed"));
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  } finally {
+    try { db.close(); } catch {}
+  }
+}
+
+// JSON with object keys sorted at every level, so equal configs hash equally
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    // eslint-disable-next-line security/detect-object-injection -- keys come from Object.keys of the same object
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** SHA-256 (hex) of the canonical JSON form of `value`. */
+export async function fingerprint(value) {
+  const bytes = new TextEncoder().encode(canonicalJson(value));
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** @param {RunCheckpoint} checkpoint */
+export async function saveCheckpoint(checkpoint) {
+  await withStore("readwrite", (store) => store.put({ ...checkpoint, updatedAt: new Date().toISOString() }));
+}
+
+/** @returns {Promise<RunCheckpoint|null>} The most recently updated checkpoint, if any. */
+export async function loadLatestCheckpoint() {
+  const all = (await withStore("readonly", (store) => store.getAll())) || [];
+  let latest = null;
+  for (const c of all) {
+    if (c && (!latest || String(c.updatedAt) > String(latest.updatedAt))) latest = c;
+  }
+  return latest;
+}
+
+export async function deleteCheckpoint(runId) {
+  await withStore("readwrite", (store) => store.delete(runId));
+}
+
+export async function clearCheckpoints() {
+  await withStore("readwrite", (store) => store.clear());
+}
+
+/**
+ * Why a checkpoint cannot be resumed here ("scriptVersion", "config" or "environment"),
+ * or null when it can.
+ */
+export function resumeRefusal(checkpoint, { scriptVersion, configHash, envFingerprint }) {
+  if (!checkpoint || checkpoint.scriptVersion !== scriptVersion) return "scriptVersion";
+  if (checkpoint.configHash !== configHash) return "config";
+  if (checkpoint.envFingerprint !== envFingerprint) return "environment";
+  return null;
+}
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+// Author Website: https://david-osipov.vision
+// Author ISNI: 0000 0005 1802 960X
+// Author ISNI URL: https://isni.org/isni/000000051802960X
+// Author ORCID: 0009-0005-2713-9242
+// Author VIAF: 139173726847611590332
+// Author Wikidata: Q130604188
+// Version: 4.6.3
+// Run-to-run comparison for the crypto benchmark: two exported result sets (the downloaded
+// browser-hash-benchmark.json, or its `results` array) matched cell by cell and tested for a
+// significant change. Works on each row's `samplesMs` (downsampled per-op batch times).
+//
+// Per cell: the momMs ratio, a bootstrap CI for the MoM difference, a Mann-Whitney U p-value,
+// the Hodges-Lehmann shift and a verdict. P-values are Holm-adjusted across all compared cells.
+import { medianOfMeans, mannWhitneyU, hodgesLehmann, holmAdjust, bootstrapDifferenceCI, confidenceLevel } from "./crypto-benchmark.stats.js";
+import { cellKey } from "./crypto-benchmark.operations.js";
+
+// Fewer samples per side than this cannot support a rank test
+const MIN_COMPARE_SAMPLES = 4;
+
+/**
+ * @typedef {Object} CellComparison
+ * @property {string} algo
+ * @property {string} operation
+ * @property {string|null} variant
+ * @property {string|null} inputShape
+ * @property {number} inputSize
+ * @property {string} inputUnit
+ * @property {number} concurrency
+ * @property {number} baselineMomMs
+ * @property {number} candidateMomMs
+ * @property {number|null} ratio            candidate / baseline momMs (below 1 is faster).
+ * @property {[number, number]|null} diffCiMs    Bootstrap CI of candidate − baseline MoM (at the comparison's confidence).
+ * @property {number|null} pValue           Mann-Whitney U, two-sided.
+ * @property {number|null} adjustedPValue   Holm-adjusted across the compared cells.
+ * @property {number|null} hodgesLehmannMs  Median candidate − baseline shift per op.
+ * @property {"faster"|"slower"|"no-change"|"insufficient-data"} verdict
+ */
+
+const rowsOf = (set) => (Array.isArray(set) ? set : Array.isArray(set?.results) ? set.results : []).filter((r) => r && !r.error);
+
+const samplesOf = (row) => (Array.isArray(row.samplesMs) ? row.samplesMs.filter((x) => Number.isFinite(x)) : []);
+
+/**
+ * Compare a candidate result set against a baseline.
+ *
+ * A cell changed when its Holm-adjusted p-value is below `alpha`, the bootstrap CI of the
+ * difference excludes zero on the same side as the Hodges-Lehmann shift, and the momMs ratio
+ * moved by at least `minChange`. Cells present on one side only are listed. The CI level is
+ * `confidence`, or else the level the baseline (then the candidate) export recorded, or 0.95.
+ *
+ * @param {Object|Object[]} baseline   Exported run (or its results).
+ * @param {Object|Object[]} candidate  Exported run (or its results).
+ * @param {{ alpha?: number, minChange?: number, resamples?: number, prng?: () => number, confidence?: number }} [options]
+ * @returns {{ cells: CellComparison[], confidence: number, onlyInBaseline: Object[], onlyInCandidate: Object[], summary: { faster: number, slower: number, unchanged: number, insufficient: number }, warnings: string[] }}
+ */
+export function compareRuns(baseline, candidate, { alpha = 0.05, minChange = 0, resamples = 2000, prng = null, confidence = null } = {}) {
+  const warnings = [];
+  const level = confidenceLevel(confidence ?? baseline?.ciConfidence ?? candidate?.ciConfidence ?? 0.95);
+  if (baseline?.scriptVersion && candidate?.scriptVersion && baseline.scriptVersion !== candidate.scriptVersion) {
+    warnings.push(`Script versions differ (${baseline.scriptVersion} vs ${candidate.scriptVersion})`);
+  }
+  const describe = (r) => ({ algo: r.algo, operation: r.operation ?? "digest", variant: r.variant ?? null, inputShape: r.inputShape ?? null, inputSize: r.inputSize ?? r.sizeBytes, inputUnit: r.inputUnit ?? "bytes", concurrency: r.concurrency ?? 1 });
+  // Rows are keyed like checkpointed cells; legacy rows without an operation are digests
+  const keyOf = (r) => cellKey(describe(r));
+  const candidateByKey = new Map(rowsOf(candidate).map((r) => [keyOf(r), r]));
+  const matchedKeys = new Set();
+
+  const cells = [];
+  const onlyInBaseline = [];
+  for (const base of rowsOf(baseline)) {
+    const key = keyOf(base);
+    const cand = candidateByKey.get(key);
+    if (!cand) { onlyInBaseline.push(describe(base)); continue; }
+    matchedKeys.add(key);
+    const a = samplesOf(base);
+    const b = samplesOf(cand);
+    const baselineMomMs = base.momMs ?? medianOfMeans(a, 5);
+    const candidateMomMs = cand.momMs ?? medianOfMeans(b, 5);
+    const ratio = baselineMomMs > 0 ? candidateMomMs / baselineMomMs : null;
+    const cell = { ...describe(base), baselineMomMs, candidateMomMs, ratio, diffCiMs: null, pValue: null, adjustedPValue: null, hodgesLehmannMs: null, verdict: "insufficient-data" };
+    if (a.length >= MIN_COMPARE_SAMPLES && b.length >= MIN_COMPARE_SAMPLES) {
+      cell.diffCiMs = bootstrapDifferenceCI(a, b, { resamples, estimator: (xs) => medianOfMeans(xs, 5), prng, confidence: level });
+      cell.pValue = mannWhitneyU(a, b).pValue;
+      cell.hodgesLehmannMs = hodgesLehmann(a, b);
+    }
+    cells.push(cell);
+  }
+  const onlyInCandidate = rowsOf(candidate).filter((r) => !matchedKeys.has(keyOf(r))).map(describe);
+
+  // Holm over the cells that could be tested
+  const tested = cells.filter((c) => c.pValue !== null);
+  const adjusted = holmAdjust(tested.map((c) => c.pValue));
+  tested.forEach((c, i) => {
+    c.adjustedPValue = adjusted.at(i);
+    const [lo, hi] = c.diffCiMs;
+    // The CI and the Hodges-Lehmann shift must agree on the direction
+    const direction = lo > 0 && c.hodgesLehmannMs > 0 ? "slower" : hi < 0 && c.hodgesLehmannMs < 0 ? "faster" : null;
+    const moved = c.ratio === null || Math.abs(c.ratio - 1) >= minChange;
+    c.verdict = c.adjustedPValue < alpha && direction && moved ? direction : "no-change";
+  });
+  if (cells.length > tested.length) warnings.push(`${cells.length - tested.length} matched cell(s) lack samplesMs and were not tested`);
+
+  const summary = { faster: 0, slower: 0, unchanged: 0, insufficient: 0 };
+  for (const c of cells) {
+    if (c.verdict === "faster") summary.faster += 1;
+    else if (c.verdict === "slower") summary.slower += 1;
+    else if (c.verdict === "no-change") summary.unchanged += 1;
+    else summary.insufficient += 1;
+  }
+  return { cells, confidence: level, onlyInBaseline, onlyInCandidate, summary, warnings };
+}
@@ -11,14 +11,31 @@
 import { generateSecureUUID, secureDevLog } from "@utils/security-kit.js";
 import { appPolicy } from "@lib/trusted-types.js";
 import workerURL from "./crypto-benchmark.worker.js?worker&url";
+import { planCells, operationsFromConfig, cellKey } from "./crypto-benchmark.operations.js";
+import { createStreamConsumer } from "./crypto-benchmark.stream.js";
+import { confidenceLevel } from "./crypto-benchmark.stats.js";
+import { fingerprint, saveCheckpoint, loadLatestCheckpoint, deleteCheckpoint, clearCheckpoints, resumeRefusal } from "./crypto-benchmark.checkpoint.js";
 
 // Track mounted instances without mutating DOM nodes
 const MOUNTED = new WeakMap();
+// Graceful cancel: the worker finishes its current batch and reports a partial run. If it has
+// not replied within the grace period it is terminated as before.
+const CANCEL_GRACE_MS = 10000;
+const CANCEL_FLAG = 1 << 1; // SAB header FLAGS bit read by the worker between batches
 // Use dedicated worker for hashing to keep UI responsive and improve timing fidelity
 // Vite's `?worker&url` ensures a same-origin HTTP(S) asset URL at build time (never data:/blob:).
 // Worker() is not a Trusted Types sink; always return a same-origin string URL from bundler.
-const getTrustedWorkerURL = () => {
+// A custom entry (e.g. one that registers in-house operations) may be supplied, but only same-origin.
+const getTrustedWorkerURL = (override) => {
   try { secureDevLog("info", "crypto-benchmark", "Worker() TT non-sink; using bundler URL string", {}); } catch {}
+  if (override) {
+    try {
+      const url = new URL(String(override), location.origin);
+      if (url.origin === location.origin && (url.protocol === "https:" || url.protocol === "http:")) return url.href;
+    } catch {}
+    try { secureDevLog("warn", "crypto-benchmark", "Rejected non-same-origin worker URL", {}); } catch {}
+    return "";
+  }
   return workerURL;
 };
 
@@ -29,6 +46,27 @@ const TEXT = {
     aborted: "Benchmark aborted.",
     done: "Benchmark complete. Review results below and submit.",
   errorLabel: "Error",
+    saturationLabel: "saturation",
+    throttledLabel: "throttled",
+    precisionTargetLabel: "target",
+    severeOutliersLabel: "severe outliers",
+    outlierCellsLabel: "Cells with severe outliers",
+    trendLabel: "drift",
+    parallelRunning: "Running workers in parallel…",
+    workersLabel: "workers",
+    efficiencyLabel: "efficiency",
+    spreadLabel: "spread",
+    sizeFitLabel: "size fit",
+    overheadLabel: "overhead",
+    nonlinearLabel: "nonlinear at",
+    liveEstimateLabel: "live",
+    timerLimitedLabel: "timer-limited",
+    cancelling: "Stopping after the current batch…",
+    partialDone: "Benchmark stopped. Finished cells are shown below and can be exported.",
+    partialSubmitDisabled: "Partial runs cannot be submitted.",
+    resumeAvailable: "An interrupted run was found. Resume it to measure only the missing cells.",
+    resumeRefused: "An interrupted run was found but cannot be resumed: the script version, configuration or device changed.",
+    resuming: "Resuming previous run…",
     unstableDetected: "Analysis complete. We detected some measurement instability. For the most accurate results, we recommend closing demanding apps and tasks and running the test again.",
     submitting: "Submitting anonymously…",
     submitted: "Thank you! Results submitted.",
@@ -40,6 +78,27 @@ const TEXT = {
     aborted: "Бенчмарк прерван.",
     done: "Бенчмарк завершен. Проверьте результаты ниже.",
   errorLabel: "Ошибка",
+    saturationLabel: "насыщение",
+    throttledLabel: "троттлинг",
+    precisionTargetLabel: "цель",
+    severeOutliersLabel: "сильные выбросы",
+    outlierCellsLabel: "Ячейки с сильными выбросами",
+    trendLabel: "дрейф",
+    parallelRunning: "Параллельный запуск воркеров…",
+    workersLabel: "воркеров",
+    efficiencyLabel: "эффективность",
+    spreadLabel: "разброс",
+    sizeFitLabel: "модель размера",
+    overheadLabel: "накладные",
+    nonlinearLabel: "нелинейно на",
+    liveEstimateLabel: "текущая оценка",
+    timerLimitedLabel: "ограничено таймером",
+    cancelling: "Остановка после текущего пакета…",
+    partialDone: "Бенчмарк остановлен. Завершённые ячейки показаны ниже и доступны для экспорта.",
+    partialSubmitDisabled: "Частичные прогоны нельзя отправить.",
+    resumeAvailable: "Найден прерванный прогон. Продолжите его, чтобы измерить только недостающие ячейки.",
+    resumeRefused: "Найден прерванный прогон, но продолжить его нельзя: изменились версия скрипта, конфигурация или устройство.",
+    resuming: "Продолжение предыдущего прогона…",
     unstableDetected: "Анализ завершен. Обнаружена нестабильность измерений. Для наибольшей точности рекомендуем закрыть требовательные программы и задачи, и запустить тест ещё раз.",
     submitting: "Отправка анонимных данных…",
     submitted: "Спасибо! Результаты отправлены.",
@@ -57,21 +116,91 @@ function isMobile() {
 
 const BASE_CONFIG = Object.freeze({
   algos: ["SHA-256", "SHA-384", "SHA-512"],
+  // Symmetric encryption family (enabled by the "cipher" mode), over the same size ladder as digests.
+  // Off by default so the default matrix and its per-cell budget match earlier submissions.
+  cipherAlgos: [],
+  cipherOps: ["encrypt", "decrypt"],
+  cipherKeyBits: 256,
+  // Signature/MAC family (enabled by the "signature" mode)
+  signAlgos: [],
+  signOps: ["sign", "verify"],
+  // Key derivation / agreement family (enabled by the "derivation" mode).
+  // PBKDF2 cells walk `pbkdf2Iterations`, HKDF cells walk `hkdfLengths` (bits).
+  deriveAlgos: [],
+  pbkdf2Iterations: [1000, 10000, 100000, 600000],
+  hkdfLengths: [256, 512, 1024],
+  // Key lifecycle family (enabled by the "keys" mode). RSA keys walk `rsaModulusLengths`;
+  // import/export cells are split per format in `keyFormats`.
+  keyAlgos: [],
+  keyOps: ["generateKey", "importKey", "exportKey"],
+  keyFormats: ["raw", "jwk", "pkcs8", "spki"],
+  rsaModulusLengths: [2048, 3072, 4096],
+  // Ops kept in flight per cell. Above 1 (the "concurrency" mode) each cell is measured at
+  // 1, 2, 4, … up to this limit and a scaling summary marks where throughput saturates.
+  CONCURRENCY_LIMIT: 1,
+  // Latency mode: time every operation into a per-cell log histogram and report tail percentiles
+  LATENCY_HISTOGRAM: false,
+  // Multi-worker throughput (the "multi-worker" mode sets "auto" = navigator.hardwareConcurrency).
+  // Each digest cell runs for PARALLEL_WINDOW_MS on one worker, then on N workers released together.
+  PARALLEL_WORKERS: 0,
+  PARALLEL_MAX_WORKERS: 16,
+  PARALLEL_SIZES: [1024, 64 * 1024],
+  PARALLEL_WINDOW_MS: 1500,
+  PARALLEL_WARMUP_MS: 300,
+  // Input buffer shapes for digest cells (the "input-shapes" mode); empty keeps plain Uint8Arrays
+  inputShapes: [],
   sizes: [1024, 5 * 1024, 10 * 1024, 20 * 1024, 40 * 1024, 80 * 1024, 100 * 1024],
   poolSize: 8,
 
   // --- Tuned Accuracy-First Parameters ---
   TOTAL_BUDGET_MS: 90000,          // 90-second total runtime budget.
   CALIBRATION_ITERS: 500,           // Iterations for the initial speed calibration.
+  CALIBRATION_MAX_MS: 1500,        // Per-cell time cap on calibration (slow ops use fewer iterations).
+  WARMUP_MAX_MS: 1500,             // Per-cell time cap on adaptive warmup.
   warmupIters: 200,                // Max iterations for adaptive JIT warmup.
   measureIters: 100,                // Iterations for the very first micro-batch in a cell.
   TARGET_BATCH_MS: 300,            // Aim for each measurement batch to take ~300ms.
+  MIN_BATCH_TICKS: 100,            // Batches span at least this many timer ticks (coarse clocks).
   MIN_RECORDED_BATCHES: 8,         // Ensure at least this many batches for robust stats.
   CV_FLAG_THRESHOLD: 0.10,         // CoV above this triggers remediation/UI flag.
   CV_STOP_THRESHOLD: 0.03,         // Optional: Stop early if extremely stable.
+  // Precision target (the `precision` mode): stop a cell once the CI half-width of its mean
+  // is within this fraction of the mean, checked at corrected looks between the batch bounds.
+  // Replaces the CV early stop; null keeps it.
+  PRECISION_TARGET: null,
+  PRECISION_MIN_BATCHES: 10,
+  PRECISION_MAX_BATCHES: 128,
   MAX_REMEDIATION_ATTEMPTS: 3,     // Auto-retry unstable cells.
+  TREND_ALPHA: 0.01,               // Mann-Kendall significance level for drift inside a cell.
+  TREND_MIN_CHANGE: 0.05,          // Drift across the cell (Sen's slope) that makes a trend count.
+  CI_METHOD: "bca",                // Bootstrap CI of momMs: "bca" or "percentile".
+  CI_CONFIDENCE: 0.95,             // Two-sided level of the CIs (rows, precision target, comparisons).
+  // Cell order: "sequential" (plan order), "shuffled" (seeded random order) or "interleaved"
+  // (shuffled, with each cell's budget split into SCHEDULE_ROUNDS rounds visiting all cells)
+  SCHEDULE: "sequential",
+  SCHEDULE_ROUNDS: 4,
+  // Budget split: "sqrt-time" (1 / sqrt(calibration time)) or "neyman" (RESERVE_FRACTION held
+  // back, then spent on remediation and on cells in proportion to their observed variance)
+  ALLOCATION: "sqrt-time",
+  RESERVE_FRACTION: 0.3,
+  HARD_DEADLINE_FACTOR: 1.25,      // Calibration and measurement stop spending past budget × this factor.
   PER_BATCH_SAMPLE_LIMIT: 40,      // Max number of raw per-batch samples to send in payload.
   progressIntervalMs: 250, // throttle UI updates
+  // Stream per-batch samples through the SAB ring to a main-thread consumer (live estimates and a
+  // cross-check of every row); needs cross-origin isolation
+  STREAM_STATS: true,
+  // Hidden tab: "stop" ends the run with the finished cells; "pause" (the "pause-on-hidden" mode)
+  // halts at a batch boundary, drops the cell in progress and continues once visible again
+  VISIBILITY_POLICY: "stop",
+  RESUME_SETTLE_MS: 2000,          // Settle period after the tab becomes visible before measuring.
+  // Thermal throttling: a fixed reference workload re-run after every cell and compared with its
+  // start-of-run time. Above the drift threshold the worker idles until it is back within the
+  // recovery threshold (capped), and the cell is flagged as measured while throttled.
+  THERMAL_REFERENCE_MS: 50,
+  THERMAL_DRIFT_THRESHOLD: 0.10,
+  THERMAL_RECOVERY_THRESHOLD: 0.05,
+  THERMAL_COOLDOWN_STEP_MS: 500,
+  THERMAL_MAX_COOLDOWN_MS: 15000,
   // SAB sizing: conservative cap of 128 batches per cell
   PER_CELL_MAX_BATCHES: 128,
 });
@@ -84,6 +213,72 @@ const MOBILE_OVERRIDES = Object.freeze({
 
 const CONFIG = Object.freeze(isMobile() ? { ...BASE_CONFIG, ...MOBILE_OVERRIDES } : BASE_CONFIG);
 
+// Opt-in run modes, selected via the `modes` mount option or `data-modes="a,b"` on the script tag.
+// Each mode layers its overrides on top of the (possibly mobile-adjusted) CONFIG.
+const MODE_OVERRIDES = new Map([
+  ["cipher", Object.freeze({
+    cipherAlgos: ["AES-GCM", "AES-CTR", "AES-CBC"],
+  })],
+  ["signature", Object.freeze({
+    signAlgos: ["HMAC-SHA-256", "HMAC-SHA-384", "HMAC-SHA-512", "ECDSA-P-256", "ECDSA-P-384", "Ed25519", "RSA-PSS-2048"],
+  })],
+  ["derivation", Object.freeze({
+    deriveAlgos: ["PBKDF2-SHA-256", "HKDF-SHA-256", "ECDH-P-256", "ECDH-P-384", "X25519"],
+  })],
+  ["large-payload", Object.freeze({
+    // File-hashing curves: digests only, 1 MiB to 256 MiB inputs
+    sizes: [1, 4, 16, 64, 128, 256].map((mib) => mib * 1024 * 1024),
+    cipherAlgos: [],
+    TOTAL_BUDGET_MS: 120000,
+  })],
+  ["keys", Object.freeze({
+    keyAlgos: ["RSA-PSS", "ECDSA-P-256", "ECDSA-P-384", "Ed25519"],
+  })],
+  ["concurrency", Object.freeze({
+    CONCURRENCY_LIMIT: 16,
+  })],
+  ["multi-worker", Object.freeze({
+    PARALLEL_WORKERS: "auto",
+  })],
+  ["latency", Object.freeze({
+    LATENCY_HISTOGRAM: true,
+  })],
+  ["pause-on-hidden", Object.freeze({
+    VISIBILITY_POLICY: "pause",
+  })],
+  ["shuffled", Object.freeze({
+    SCHEDULE: "shuffled",
+  })],
+  ["interleaved", Object.freeze({
+    SCHEDULE: "interleaved",
+  })],
+  ["precision", Object.freeze({
+    PRECISION_TARGET: 0.02,
+  })],
+  ["adaptive-budget", Object.freeze({
+    ALLOCATION: "neyman",
+  })],
+  ["input-shapes", Object.freeze({
+    inputShapes: ["uint8array", "offset-view", "dataview", "arraybuffer", "shared-view"],
+  })],
+]);
+
+function parseModes(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(",");
+  const modes = [];
+  for (const raw of list) {
+    const m = String(raw).trim().toLowerCase();
+    if (MODE_OVERRIDES.has(m) && !modes.includes(m)) modes.push(m);
+  }
+  return modes;
+}
+
+function resolveConfig(modes) {
+  const merged = { ...CONFIG };
+  for (const m of modes) Object.assign(merged, MODE_OVERRIDES.get(m));
+  return Object.freeze(merged);
+}
+
 // Version emitted with submissions for downstream analysis
 const SCRIPT_VERSION = "4.6.3";
 
@@ -118,10 +313,170 @@ function updateBar(barEl, pct) {
   barEl.style.width = `${clamped}%`;
 }
 
+// Largest input pool the worker may allocate per cell: a quarter of navigator.deviceMemory
+// (GiB, coarse; assume 2 GiB where unavailable), clamped to 64 MiB–1 GiB.
+function payloadMemoryCapBytes() {
+  let gib = 2;
+  try {
+    const reported = Number(navigator.deviceMemory);
+    if (Number.isFinite(reported) && reported > 0) gib = reported;
+  } catch {}
+  const mib = Math.min(1024, Math.max(64, (gib * 1024) / 4));
+  return mib * 1024 * 1024;
+}
+
+// Plan entries for the worker: built-in families from the config plus any caller-supplied entries
+function buildOperationPlan(config, extraOperations = []) {
+  return [...operationsFromConfig(config), ...extraOperations];
+}
+
+// Powers of two from 1 up to (and including) the limit; the limit itself is always measured
+function concurrencyLevels(limit) {
+  const max = Math.max(1, Math.trunc(Number(limit)) || 1);
+  const levels = [];
+  for (let c = 1; c < max; c *= 2) levels.push(c);
+  levels.push(max);
+  return levels;
+}
+
+// Resolve the multi-worker group size; 0 disables the parallel phase
+function parallelWorkerCount(setting, max) {
+  const cap = Math.max(2, Math.trunc(Number(max)) || 16);
+  const requested = setting === "auto" ? Number(globalThis.navigator?.hardwareConcurrency) : Number(setting);
+  const n = Math.trunc(requested);
+  return Number.isFinite(n) && n >= 2 ? Math.min(n, cap) : 0;
+}
+
+/**
+ * Spawn `workerCount` workers that run the same cells behind one SharedArrayBuffer start barrier.
+ * Resolves with every worker's per-cell `parallel-result` payload; rejects on the first failure.
+ */
+function runParallelGroup({ url, operations, workerCount, windowMs, warmupMs, poolSize, signal }) {
+  return new Promise((resolve, reject) => {
+    const barrier = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * 4);
+    const workers = [];
+    const results = [];
+    let pending = workerCount;
+    let settled = false;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      if (err) {
+        // Release peers blocked at the barrier before tearing the group down
+        try { const b = new Int32Array(barrier); Atomics.store(b, 2, 1); Atomics.notify(b, 1); } catch {}
+      }
+      for (const w of workers) { try { w.terminate(); } catch {} }
+      if (err) reject(err); else resolve(results);
+    };
+    if (signal?.aborted) { finish(new Error("Parallel run aborted")); return; }
+    signal?.addEventListener("abort", () => finish(new Error("Parallel run aborted")), { once: true });
+    for (let workerIndex = 0; workerIndex < workerCount; workerIndex++) {
+      const w = new Worker(url, { type: "module", name: `crypto-benchmark-parallel-${workerIndex}` });
+      workers.push(w);
+      w.addEventListener("message", (e) => {
+        const data = e.data;
+        if (!data || typeof data !== "object") return;
+        if (data.type === "parallel-result") {
+          results.push(data.payload);
+        } else if (data.type === "parallel-done") {
+          pending -= 1;
+          if (pending === 0) finish(null);
+        } else if (data.type === "error") {
+          finish(new Error(String(data.error || "Worker error")));
+        }
+      });
+      w.addEventListener("error", (ev) => finish(new Error(String(ev?.message || "Worker error"))));
+      w.postMessage({ cmd: "parallel", cfg: { operations, barrier, workerIndex, workerCount, windowMs, warmupMs, poolSize } });
+    }
+  });
+}
+
+const ratePerSec = (r) => (r && !r.error && r.elapsedMs > 0 ? (r.ops * 1000) / r.elapsedMs : null);
+
+/**
+ * Combine the single-worker and N-worker runs per cell: combined ops/sec is the sum of the
+ * per-worker rates over the barrier-aligned window; efficiency is combined / (N × single).
+ */
+function summarizeParallel(single, group, workerCount) {
+  const byCell = new Map();
+  for (const r of group) {
+    if (!byCell.has(r.cellIndex)) byCell.set(r.cellIndex, []);
+    byCell.get(r.cellIndex).push(r);
+  }
+  const summaries = [];
+  for (const [cellIndex, rows] of [...byCell].sort((a, b) => a[0] - b[0])) {
+    rows.sort((a, b) => a.workerIndex - b.workerIndex);
+    const first = rows.at(0);
+    const rates = rows.map(ratePerSec).filter((v) => v !== null);
+    const singleWorkerOpsPerSec = ratePerSec(single.find((r) => r.cellIndex === cellIndex));
+    const combinedOpsPerSec = rates.reduce((a, b) => a + b, 0);
+    const starts = rows.map((r) => r.startEpochMs).filter(Number.isFinite);
+    const failed = rows.find((r) => r.error);
+    summaries.push({
+      algo: first.algo,
+      operation: first.operation,
+      variant: first.variant ?? null,
+      inputSize: first.inputSize,
+      inputUnit: first.inputUnit,
+      workers: workerCount,
+      combinedOpsPerSec,
+      singleWorkerOpsPerSec,
+      speedup: singleWorkerOpsPerSec ? combinedOpsPerSec / singleWorkerOpsPerSec : null,
+      efficiency: singleWorkerOpsPerSec ? combinedOpsPerSec / (workerCount * singleWorkerOpsPerSec) : null,
+      perWorkerOpsPerSec: rates,
+      spread: rates.length > 0
+        ? { minOpsPerSec: Math.min(...rates), maxOpsPerSec: Math.max(...rates), meanOpsPerSec: mean(rates), coefficientOfVariation: mean(rates) > 0 ? stddev(rates) / mean(rates) : 0 }
+        : null,
+      // How far apart the workers actually started after the barrier released them
+      startSkewMs: starts.length > 1 ? Math.max(...starts) - Math.min(...starts) : 0,
+      ...(failed || rates.length < workerCount ? { error: failed?.error ?? "Some workers produced no result" } : {}),
+    });
+  }
+  return summaries;
+}
+
+// Row label: digest rows keep the bare algorithm name, other families append the operation
+// (and the variant, e.g. the key format, when the cell has one); input-shape rows add "[shape]"
+// and sweep rows "×N"
+function cellLabel({ algo, operation, variant, inputShape, concurrency = 1 }) {
+  const base = operation && operation !== "digest" ? `${algo} ${operation}` : algo;
+  const withVariant = variant ? `${base} (${variant})` : base;
+  const withShape = inputShape ? `${withVariant} [${inputShape}]` : withVariant;
+  return concurrency > 1 ? `${withShape} ×${concurrency}` : withShape;
+}
+
+// Label plus the annotations added once a comparison completes (saturation point, shape ratio)
+function rowLabel(row, i18nOpt) {
+  const t = i18nOpt || TEXT.en;
+  let label = cellLabel(row);
+  if (row.isSaturationPoint) label += ` · ${t.saturationLabel}`;
+  if (Number.isFinite(row.shapeRatio) && row.inputShape !== row.shapeBaseline) label += ` · ×${row.shapeRatio.toFixed(2)} vs ${row.shapeBaseline}`;
+  if (row.thermalThrottled) label += ` · ${t.throttledLabel}`;
+  if (row.timerLimited) label += ` · ${t.timerLimitedLabel}`;
+  if (row.trendDetected) label += ` · ${t.trendLabel} ${row.trendSlopeMs > 0 ? "↑" : "↓"}`;
+  if (row.severeOutliers > 0) label += ` · ${t.severeOutliersLabel}: ${row.severeOutliers} (${((row.outlierBudgetShare ?? 0) * 100).toFixed(1)}%)`;
+  // Budget ran out before the precision target was reached
+  if (row.precisionMet === false && Number.isFinite(row.precisionAchieved)) label += ` · ±${(row.precisionAchieved * 100).toFixed(1)}% (${t.precisionTargetLabel} ${(row.precisionTarget * 100).toFixed(1)}%)`;
+  return label;
+}
+
+// Same cell at a different concurrency level
+function sameSweepCell(row, summary) {
+  return row.algo === summary.algo && (row.operation ?? "digest") === summary.operation && (row.variant ?? null) === (summary.variant ?? null) && (row.inputShape ?? null) === (summary.inputShape ?? null) && row.inputSize === summary.inputSize && row.inputUnit === summary.inputUnit;
+}
+
 function bytesString(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(0)} MB`;
   return `${(n / 1024).toFixed(0)} KB`;
 }
 
+// Size-axis label: bytes for data-driven cells, iterations/bits for derivation cells
+function axisString({ sizeBytes, inputSize, inputUnit }) {
+  if (inputUnit === "iterations") return `${Number(inputSize).toLocaleString("en-US")} iter`;
+  if (inputUnit === "bits") return `${inputSize} bits`;
+  return bytesString(sizeBytes ?? inputSize ?? 0);
+}
+
 function mean(arr) {
   return arr.reduce((a, b) => a + b, 0) / (arr.length || 1);
 }
@@ -189,17 +544,47 @@ async function getEnv(lang) {
   return env;
 }
 
-function buildRow({ algo, sizeBytes, momMs, bootstrapCi95Ms, medianMs, iqrMs, isStable, remediationAttempts, error, meanMs, ci95Ms }, i18nOpt) {
+// Stable environment properties a checkpoint is tied to; volatile ones (battery, languages) are left out
+function envFingerprint() {
+  return fingerprint({
+    userAgent: navigator.userAgent,
+    platform: navigator.userAgentData?.platform ?? null,
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    deviceMemory: navigator.deviceMemory ?? null,
+    crossOriginIsolated: Boolean(globalThis.crossOriginIsolated),
+    mobile: isMobile(),
+  });
+}
+
+// Tail-latency line, e.g. "p50 0.012 · p99 0.031 · p99.9 0.210 · max 1.920 ms".
+// Percentiles under the timer resolution are shown as "≤" that resolution.
+function latencyString(latency) {
+  const below = new Set(latency.belowResolution ?? []);
+  const fmt = (name, v) => `${below.has(name) ? "≤" : ""}${Number(v ?? 0).toFixed(3)}`;
+  return `p50 ${fmt("p50", latency.p50Ms)} · p90 ${fmt("p90", latency.p90Ms)} · p99 ${fmt("p99", latency.p99Ms)} · p99.9 ${fmt("p999", latency.p999Ms)} · max ${fmt("max", latency.maxMs)} ms`;
+}
+
+function buildRow({ algo, operation, variant, inputShape, concurrency, latency, sizeBytes, inputSize, inputUnit, throughputMBps, momMs, bootstrapCiMs, bootstrapCi95Ms, medianMs, iqrMs, isStable, remediationAttempts, error, meanMs, ci95Ms }, i18nOpt) {
   const tr = document.createElement("tr");
   tr.className = "border-b border-gray-200 last:border-b-0";
   
   const c1 = document.createElement("td");
   c1.className = "text-left py-2 px-3";
-  c1.textContent = algo;
+  c1.textContent = cellLabel({ algo, operation, variant, inputShape, concurrency });
+  if (!error && latency && typeof latency === "object") {
+    const tail = document.createElement("div");
+    tail.className = "text-xs opacity-70";
+    tail.textContent = latencyString(latency);
+    c1.appendChild(tail);
+  }
   
   const c2 = document.createElement("td");
   c2.className = "text-right py-2 px-3";
-  c2.textContent = bytesString(sizeBytes);
+  c2.textContent = axisString({ sizeBytes, inputSize, inputUnit });
+  // Large payloads are read as data rates; show MB/s next to the size
+  if (!error && Number.isFinite(throughputMBps) && sizeBytes >= 1024 * 1024) {
+    c2.textContent += ` · ${throughputMBps.toFixed(0)} MB/s`;
+  }
   if (error) {
     const cErr = document.createElement("td");
     cErr.className = "text-left py-2 px-3 text-[var(--color-danger,red)]";
@@ -211,11 +596,9 @@ function buildRow({ algo, sizeBytes, momMs, bootstrapCi95Ms, medianMs, iqrMs, is
     return tr;
   }
 
-  // Backward compatibility with old schema used in tests: fallback to meanMs/ci95Ms
+  // Backward compatibility with older schemas (bootstrapCi95Ms, meanMs/ci95Ms)
   const primaryMs = Number.isFinite(momMs) ? momMs : (Number.isFinite(meanMs) ? meanMs : 0);
-  const ci = Array.isArray(bootstrapCi95Ms) && bootstrapCi95Ms.length === 2
-    ? bootstrapCi95Ms
-    : (Array.isArray(ci95Ms) && ci95Ms.length === 2 ? ci95Ms : [0, 0]);
+  const ci = [bootstrapCiMs, bootstrapCi95Ms, ci95Ms].find((c) => Array.isArray(c) && c.length === 2) ?? [0, 0];
   const medianVal = Number.isFinite(medianMs) ? medianMs : primaryMs;
   const iqrVal = Number.isFinite(iqrMs) ? iqrMs : 0;
 
@@ -247,6 +630,53 @@ function buildRow({ algo, sizeBytes, momMs, bootstrapCi95Ms, medianMs, iqrMs, is
   return tr;
 }
 
+// Multi-worker summary row: label and axis as usual, the scaling figures across the stat columns
+function buildParallelRow(summary, i18nOpt) {
+  const t = i18nOpt || TEXT.en;
+  const tr = document.createElement("tr");
+  tr.className = "border-b border-gray-200 last:border-b-0";
+  const c1 = document.createElement("td");
+  c1.className = "text-left py-2 px-3";
+  c1.textContent = `${cellLabel(summary)} · ${summary.workers} ${t.workersLabel}`;
+  const c2 = document.createElement("td");
+  c2.className = "text-right py-2 px-3";
+  c2.textContent = axisString(summary);
+  const c3 = document.createElement("td");
+  c3.className = "text-left py-2 px-3";
+  c3.colSpan = 6;
+  if (summary.error) {
+    c3.classList.add("text-[var(--color-danger,red)]");
+    c3.textContent = `${t.errorLabel}: ${String(summary.error)}`;
+  } else {
+    const efficiency = Number.isFinite(summary.efficiency) ? `${(summary.efficiency * 100).toFixed(0)}%` : "–";
+    const spread = summary.spread ? `±${(summary.spread.coefficientOfVariation * 100).toFixed(1)}%` : "–";
+    c3.textContent = `${summary.combinedOpsPerSec.toFixed(0)} ops/s · ${t.efficiencyLabel} ${efficiency} · ${t.spreadLabel} ${spread}`;
+  }
+  tr.append(c1, c2, c3);
+  return tr;
+}
+
+// Size-scaling summary row: overhead, steady-state throughput, fit quality and nonlinear sizes
+function buildSizeScalingRow(fit, i18nOpt) {
+  const t = i18nOpt || TEXT.en;
+  const tr = document.createElement("tr");
+  tr.className = "border-b border-gray-200 last:border-b-0";
+  const c1 = document.createElement("td");
+  c1.className = "text-left py-2 px-3";
+  c1.textContent = `${cellLabel(fit)} · ${t.sizeFitLabel}`;
+  const c2 = document.createElement("td");
+  c2.className = "text-right py-2 px-3";
+  c2.textContent = `${bytesString(fit.sizes.at(0))}–${bytesString(fit.sizes.at(-1))}`;
+  const c3 = document.createElement("td");
+  c3.className = "text-left py-2 px-3";
+  c3.colSpan = 6;
+  const throughput = Number.isFinite(fit.throughputGBps) ? `${fit.throughputGBps.toFixed(2)} GB/s` : "–";
+  const nonlinear = fit.deviations.length > 0 ? ` · ${t.nonlinearLabel} ${fit.deviations.map((d) => bytesString(d.inputSize)).join(", ")}` : "";
+  c3.textContent = `${t.overheadLabel} ${fit.overheadUs.toFixed(2)} µs · ${throughput} · R² ${fit.r2.toFixed(3)}${nonlinear}`;
+  tr.append(c1, c2, c3);
+  return tr;
+}
+
 function download(filename, text) {
   const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
   const url = URL.createObjectURL(blob);
@@ -264,63 +694,184 @@ function download(filename, text) {
 function toCSV(results) {
   const header = [
     "algo",
+    "operation",
+    "variant",
+    "inputShape",
     "sizeBytes",
+    "inputSize",
+    "inputUnit",
     "iterations",
     "batches",
     "momMs",
     "opsPerSec",
-    "bootstrapCi95Low",
-    "bootstrapCi95High",
+    "throughputMBps",
+    "concurrency",
+    "latencyMs",
+    "saturationConcurrency",
+    "shapeRatio",
+    "overheadCorrectedMs",
+    "latencyP50Ms",
+    "latencyP90Ms",
+    "latencyP99Ms",
+    "latencyP999Ms",
+    "latencyMaxMs",
+    "latencyBelowResolution",
+    "bootstrapCiLow",
+    "bootstrapCiHigh",
     "medianMs",
     "iqrMs",
     "stdMs",
     "coefficientOfVariation",
     "isStable",
     "remediationAttempts",
+    "interrupted",
+    "pauseCount",
+    "thermalDrift",
+    "thermalThrottled",
+    "trendDetected",
+    "trendSlopeMs",
+    "trendPValue",
+    "changePoints",
+    "schedule",
+    "orderIndex",
+    "allocatedMs",
+    "reserveMs",
+    "budgetLimited",
+    "calibrationTruncated",
+    "precisionAchieved",
+    "precisionTarget",
+    "precisionMet",
+    "ciMethod",
+    "ciConfidence",
+    "quantizationErrorMs",
+    "timerLimited",
+    "sizeFitDeviates",
+    "outliersMild",
+    "outliersSevere",
+    "outliersMadMild",
+    "outliersMadSevere",
+    "outlierBudgetShare",
+    "streamSamples",
+    "streamMomDelta",
+    "streamAgrees",
   ];
   const esc = (v) => {
     const s = String(v ?? "");
     return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
   };
+  // Rows from older exports carry the interval as bootstrapCi95Ms or ci95Ms
+  const ciOf = (r) => [r.bootstrapCiMs, r.bootstrapCi95Ms, r.ci95Ms].find((c) => Array.isArray(c) && c.length === 2) ?? [0, 0];
   const rows = results
     .filter((r) => !r.error)
     .map((r) => [
       esc(r.algo),
+      esc(r.operation ?? "digest"),
+      esc(r.variant ?? ""),
+      esc(r.inputShape ?? ""),
       esc(r.sizeBytes),
+      esc(r.inputSize ?? r.sizeBytes),
+      esc(r.inputUnit ?? "bytes"),
       esc(r.iterations),
       esc(r.batches ?? ""),
       esc(((r.momMs ?? r.meanMs) ?? 0).toFixed(6)),
       esc((r.opsPerSec ?? (r.momMs ? (1000 / r.momMs) : 0)).toFixed(3)),
-      esc((Array.isArray(r.bootstrapCi95Ms) ? r.bootstrapCi95Ms[0] : (Array.isArray(r.ci95Ms) ? r.ci95Ms[0] : 0)).toFixed(6)),
-      esc((Array.isArray(r.bootstrapCi95Ms) ? r.bootstrapCi95Ms[1] : (Array.isArray(r.ci95Ms) ? r.ci95Ms[1] : 0)).toFixed(6)),
+      esc(Number.isFinite(r.throughputMBps) ? r.throughputMBps.toFixed(3) : ""),
+      esc(r.concurrency ?? 1),
+      esc(Number.isFinite(r.latencyMs) ? r.latencyMs.toFixed(6) : ""),
+      esc(r.saturationConcurrency ?? ""),
+      esc(Number.isFinite(r.shapeRatio) ? r.shapeRatio.toFixed(6) : ""),
+      esc(Number.isFinite(r.overheadCorrectedMs) ? r.overheadCorrectedMs.toFixed(6) : ""),
+      esc(r.latency ? r.latency.p50Ms.toFixed(6) : ""),
+      esc(r.latency ? r.latency.p90Ms.toFixed(6) : ""),
+      esc(r.latency ? r.latency.p99Ms.toFixed(6) : ""),
+      esc(r.latency ? r.latency.p999Ms.toFixed(6) : ""),
+      esc(r.latency ? r.latency.maxMs.toFixed(6) : ""),
+      esc(r.latency ? r.latency.belowResolution.join(";") : ""),
+      esc((ciOf(r).at(0) ?? 0).toFixed(6)),
+      esc((ciOf(r).at(1) ?? 0).toFixed(6)),
       esc(((r.medianMs ?? r.meanMs) ?? 0).toFixed(6)),
       esc((r.iqrMs ?? 0).toFixed(6)),
       esc((r.stdMs ?? 0).toFixed(6)),
       esc((r.coefficientOfVariation ?? 0).toFixed(6)),
       esc(r.isStable ? "1" : "0"),
       esc(String(r.remediationAttempts ?? 0)),
+      esc(r.interrupted ? "1" : "0"),
+      esc(String(r.pauseCount ?? 0)),
+      esc(Number.isFinite(r.thermalDrift) ? r.thermalDrift.toFixed(6) : ""),
+      esc(r.thermalThrottled ? "1" : "0"),
+      esc(r.trendDetected ? "1" : "0"),
+      esc(Number.isFinite(r.trendSlopeMs) ? r.trendSlopeMs.toExponential(6) : ""),
+      esc(Number.isFinite(r.trendPValue) ? r.trendPValue.toExponential(6) : ""),
+      esc(Array.isArray(r.changePoints) ? r.changePoints.join(";") : ""),
+      esc(r.schedule ?? ""),
+      esc(r.orderIndex ?? ""),
+      esc(Number.isFinite(r.allocatedMs) ? r.allocatedMs.toFixed(3) : ""),
+      esc(Number.isFinite(r.reserveMs) ? r.reserveMs.toFixed(3) : ""),
+      esc(r.budgetLimited ? "1" : "0"),
+      esc(r.calibrationTruncated ? "1" : "0"),
+      esc(Number.isFinite(r.precisionAchieved) ? r.precisionAchieved.toFixed(6) : ""),
+      esc(r.precisionTarget ?? ""),
+      esc(r.precisionMet === null || r.precisionMet === undefined ? "" : (r.precisionMet ? "1" : "0")),
+      esc(r.ciMethod ?? ""),
+      esc(r.ciConfidence ?? ""),
+      esc(Number.isFinite(r.quantizationErrorMs) ? r.quantizationErrorMs.toExponential(3) : ""),
+      esc(r.timerLimited === undefined ? "" : (r.timerLimited ? "1" : "0")),
+      esc(r.sizeFitDeviates === undefined ? "" : (r.sizeFitDeviates ? "1" : "0")),
+      esc(r.outliers ? r.outliers.tukey.lowMild + r.outliers.tukey.highMild : ""),
+      esc(r.outliers ? r.outliers.tukey.lowSevere + r.outliers.tukey.highSevere : ""),
+      esc(r.outliers ? r.outliers.mad.lowMild + r.outliers.mad.highMild : ""),
+      esc(r.outliers ? r.outliers.mad.lowSevere + r.outliers.mad.highSevere : ""),
+      esc(Number.isFinite(r.outlierBudgetShare) ? r.outlierBudgetShare.toFixed(6) : ""),
+      esc(r.streamCheck ? r.streamCheck.samples : ""),
+      esc(Number.isFinite(r.streamCheck?.momDelta) ? r.streamCheck.momDelta.toExponential(3) : ""),
+      esc(r.streamCheck ? (r.streamCheck.agrees ? "1" : "0") : ""),
     ]);
   return [header.join(","), ...rows.map((r) => r.join(","))].join("\n");
 }
 
 // Analyze run quality: use worker's final isStable flags across cells
+// Severe outliers that cost at least this share of a cell's recorded time make the run unstable
+const OUTLIER_BUDGET_LIMIT = 0.05;
+
+/**
+ * Run quality report. Every cell with severe outliers is listed in `outlierCells`; the outliers
+ * make the run unstable only when they cost OUTLIER_BUDGET_LIMIT of the cell's recorded time
+ * (`unstable` on the entry).
+ * @returns {{ stable: boolean, outlierCells: { algo: string, operation: string, variant: string|null, inputShape: string|null, inputSize: number, inputUnit: string, concurrency: number, severeOutliers: number, outlierBudgetShare: number, unstable: boolean }[] }}
+ */
 function analyzeRunQuality(results) {
   try {
-    if (!Array.isArray(results) || results.length === 0) return false;
+    if (!Array.isArray(results) || results.length === 0) return { stable: false, outlierCells: [] };
     let anyUnstable = false;
+    const outlierCells = [];
     for (const r of results) {
-      if (r && !r.error && r.isStable === false) { anyUnstable = true; break; }
+      if (!r || r.error) continue;
+      if (r.isStable === false) anyUnstable = true;
+      if (r.severeOutliers > 0) {
+        const outlierBudgetShare = r.outlierBudgetShare ?? 0;
+        const unstable = outlierBudgetShare >= OUTLIER_BUDGET_LIMIT;
+        if (unstable) anyUnstable = true;
+        outlierCells.push({ algo: r.algo, operation: r.operation ?? "digest", variant: r.variant ?? null, inputShape: r.inputShape ?? null, inputSize: r.inputSize ?? r.sizeBytes, inputUnit: r.inputUnit ?? "bytes", concurrency: r.concurrency ?? 1, severeOutliers: r.severeOutliers, outlierBudgetShare, unstable });
+      }
     }
-    return !anyUnstable;
+    return { stable: !anyUnstable, outlierCells };
   } catch {
     // Fail safe: consider unstable if analysis fails
-    return false;
+    return { stable: false, outlierCells: [] };
   }
 }
 
+// One line naming the cells with severe outliers, with their count and share of the cell's time
+function outlierCellsString(outlierCells, i18nOpt) {
+  const t = i18nOpt || TEXT.en;
+  if (!Array.isArray(outlierCells) || outlierCells.length === 0) return "";
+  const cells = outlierCells.map((c) => `${cellLabel(c)} · ${axisString(c)} (${c.severeOutliers}, ${(c.outlierBudgetShare * 100).toFixed(1)}%)`);
+  return `${t.outlierCellsLabel}: ${cells.join("; ")}.`;
+}
+
 // measurement moved to Web Worker
 
-export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, collectorUrl } = {}) {
+export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, collectorUrl, modes: modesInput, operations: extraOperations = [], workerUrl } = {}) {
   const existing = MOUNTED.get(section);
   if (existing) return existing;
 
@@ -333,12 +884,17 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
   debug("info", "mountCryptoBenchmark: start", { hasCurrent: Boolean(current) });
   const lang = (langInput || current?.dataset.lang) === "ru" ? "ru" : "en";
   const i18n = lang === "ru" ? TEXT.ru : TEXT.en;
+  const modes = parseModes(modesInput ?? current?.dataset.modes);
+  const config = resolveConfig(modes);
+  const operationPlan = buildOperationPlan(config, Array.isArray(extraOperations) ? extraOperations : []);
   // Prefer caller-provided endpoint, fallback to same-origin BFF default
   const COLLECTOR_URL = collectorUrl || "/api/submit";
   // Per Security Constitution 2.7, client-side secrets are forbidden
   const COLLECTOR_SECRET = "";
 
   let btnStart, btnAbort, btnRetry, btnCsv, btnJson, btnSubmit, statusEl, barEl, tbody, analysis;
+  // Optional: offered only when an interrupted run can be resumed
+  const btnResume = section.querySelector(".btn-resume");
   // Single-mode orchestrator state (v8.0)
   let runId = "";
   try {
@@ -364,10 +920,11 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
     return null;
   }
 
-  function finalizeUIAndEnableButtons(finalResults) {
+  function finalizeUIAndEnableButtons(finalResults, { partial = false } = {}) {
     try {
-      const stable = analyzeRunQuality(finalResults);
-      setStatus(statusEl, stable ? i18n.done : i18n.unstableDetected);
+      const quality = analyzeRunQuality(finalResults);
+      const stable = quality.stable;
+      setStatus(statusEl, partial ? i18n.partialDone : (stable ? i18n.done : i18n.unstableDetected));
       // Avoid inline styles per Tailwind v4 tokens mandate; toggle a semantic utility class
   const dangerClass = "text-[var(--color-danger,red)]";
       statusEl.classList.toggle(dangerClass, !stable);
@@ -375,8 +932,13 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
       setDisabled(btnRetry, false);
       setDisabled(btnCsv, false);
       setDisabled(btnJson, false);
-      setDisabled(btnSubmit, !COLLECTOR_URL);
-      if (!stable) {
+      // Partial runs can be exported but never submitted
+      setDisabled(btnSubmit, !COLLECTOR_URL || partial);
+      if (partial) {
+        analysis.textContent = i18n.partialSubmitDisabled;
+        applyRetryPrimaryStyle();
+        btnSubmit.classList.remove("results-ready");
+      } else if (!stable) {
         analysis.textContent = i18n.unstableDetected + (!COLLECTOR_URL ? ` ${i18n.submitDisabled}` : "");
         applyRetryPrimaryStyle();
         btnSubmit.classList.remove("results-ready");
@@ -385,6 +947,9 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
         clearRetryPrimaryStyle();
         if (COLLECTOR_URL) btnSubmit.classList.add("results-ready");
       }
+      // Severe outliers are reported whether or not they cost enough to make the run unstable
+      const outliers = outlierCellsString(quality.outlierCells, i18n);
+      if (outliers) analysis.textContent = [analysis.textContent, outliers].filter(Boolean).join(" ");
       setDisabled(btnAbort, true);
       btnStart.classList.add("inactive");
       updateBar(barEl, 100);
@@ -409,9 +974,23 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
   let last = null;
   let envCache = null;
   let worker = null;
+  // Cancels an in-flight multi-worker phase (abort button, backgrounding, destroy)
+  let parallelAbort = null;
+  // Graceful cancel state of the current run
+  let cancelRequested = false;
+  let cancelTimer = null;
+  let runCtrl = null;
+  // Checkpoint of an interrupted run that this page may resume, and the identity it must match
+  let resumable = null;
+  let checkpointWrites = Promise.resolve();
+  const checkpointIdentity = (async () => ({
+    scriptVersion: SCRIPT_VERSION,
+    configHash: await fingerprint({ config, modes, operations: operationPlan }),
+    envFingerprint: await envFingerprint(),
+  }))().catch(() => null);
   const abort = new AbortController();
   let firstMessageReceived = false;
-  const runMeta = { timerGranularityMs: 0, sabOverheadMs: 0, crossOriginIsolated: false };
+  const runMeta = { timerGranularityMs: 0, sabOverheadMs: 0, asyncOverheadMs: 0, promiseOverheadMs: 0, pauseCount: 0, thermalBaselineMs: 0, thermalCooldownMs: 0, thermalTrace: [], schedule: null, budget: null, crossOriginIsolated: false };
   // Run-scoped cleanup hook (set inside run())
   let clearRunResources = () => {};
 
@@ -428,6 +1007,33 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
     } catch {}
   }
 
+  // Old behaviour: terminate the worker and discard the run
+  function hardAbort(message) {
+    aborted = true;
+    try { clearTimeout(cancelTimer); } catch {}
+    try { worker?.terminate(); worker = null; } catch {}
+    try { parallelAbort?.abort(); } catch {}
+    setStatus(statusEl, message);
+    setDisabled(btnAbort, true);
+    // Clear any run-scoped resources (e.g., watchdog, listeners)
+    try { clearRunResources(); } catch {}
+    // Defer the full UI reset to a new macrotask to avoid race with in-flight messages
+    setTimeout(resetUI, 0);
+  }
+
+  // Ask the worker to stop after its current batch; it replies with the finished cells and a
+  // `done` marked partial. Raises the SAB flag too, which the worker sees without a task switch.
+  function requestCancel(message) {
+    if (cancelRequested || aborted) return;
+    cancelRequested = true;
+    setDisabled(btnAbort, true);
+    setStatus(statusEl, message);
+    try { if (runCtrl) Atomics.or(runCtrl, 1, CANCEL_FLAG); } catch {}
+    try { worker?.postMessage({ cmd: "cancel" }); } catch {}
+    try { parallelAbort?.abort(); } catch {}
+    cancelTimer = setTimeout(() => hardAbort(i18n.aborted), CANCEL_GRACE_MS);
+  }
+
   function resetUI() {
     tbody.textContent = "";
     analysis.textContent = "";
@@ -447,20 +1053,57 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
     runId = "";
   }
 
-  async function run() {
+  // Offer to resume the latest checkpoint; one from another script version, config or device is discarded
+  async function probeCheckpoint() {
+    try {
+      const checkpoint = await loadLatestCheckpoint();
+      const identity = await checkpointIdentity;
+      if (!checkpoint || !identity || last || worker) return;
+      const refusal = resumeRefusal(checkpoint, identity);
+      if (refusal) {
+        debug("info", "checkpoint refused", { refusal });
+        setStatus(statusEl, i18n.resumeRefused);
+        await deleteCheckpoint(checkpoint.runId);
+        return;
+      }
+      resumable = checkpoint;
+      setStatus(statusEl, i18n.resumeAvailable);
+      if (btnResume) setDisabled(btnResume, false);
+    } catch (err) {
+      debug("info", "no checkpoint available", { err: String(err?.message || err) });
+    }
+  }
+
+  // `resumeFrom`: a compatible checkpoint whose finished cells are kept and not measured again
+  async function run(resumeFrom = null) {
   const runAbort = new AbortController();
     aborted = false;
+    cancelRequested = false;
+    runCtrl = null;
     firstMessageReceived = false;
+    resumable = null;
+    if (btnResume) setDisabled(btnResume, true);
 
     // Always start a fresh sequence
     resetUI();
-    runId = await createRunId();
+    const identity = await checkpointIdentity;
+    if (resumeFrom) {
+      runId = resumeFrom.runId;
+    } else {
+      runId = await createRunId();
+      // A new run supersedes any interrupted one
+      try { await clearCheckpoints(); } catch {}
+    }
+    const checkpointCreatedAt = resumeFrom?.createdAt ?? new Date().toISOString();
 
     setDisabled(btnStart, true);
     setDisabled(btnAbort, false);
 
-    const totalCells = CONFIG.algos.length * CONFIG.sizes.length;
-    setStatus(statusEl, i18n.running);
+    const levels = concurrencyLevels(config.CONCURRENCY_LIMIT);
+    // Estimate from the main-thread registry (sizes the SAB ring); replaced by the worker's `plan`
+    // count, which also knows operations registered only in a custom worker entry
+    let totalCells = planCells(operationPlan).length * levels.length;
+    setStatus(statusEl, resumeFrom ? i18n.resuming : i18n.running);
     // Allow degraded mode when not cross-origin isolated (no SAB)
     const coi = Boolean(globalThis.crossOriginIsolated);
     if (!coi) {
@@ -469,7 +1112,7 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
 
   if (worker) { try { worker.terminate(); } catch {} worker = null; }
     try {
-      const trustedURL = getTrustedWorkerURL();
+      const trustedURL = getTrustedWorkerURL(workerUrl);
       debug("info", "worker url computed", {
         raw: workerURL,
         trustedEmpty: !trustedURL,
@@ -514,14 +1157,14 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
     };
 
     // Allocate SAB ring buffer for silent per-batch streaming (only if COI)
-    const CTRL_INTS = 8; // VERSION, FLAGS, WR_HEAD, COMMITTED, DROPPED, RUN_ID_LOW, RUN_ID_HIGH, PAD(for 8-byte alignment)
+    const CTRL_INTS = 8; // VERSION, FLAGS, WR_HEAD, COMMITTED, DROPPED, CONSUMED, RUN_ID_HIGH, PAD(for 8-byte alignment)
     let sab = null;
     let ctrl = null;
     let sabData = null;
     let capacityPow2 = 0;
     if (coi) {
       try {
-        const maxSamples = Math.max(1, totalCells * CONFIG.PER_CELL_MAX_BATCHES);
+        const maxSamples = Math.max(1, totalCells * config.PER_CELL_MAX_BATCHES);
         const pow = Math.ceil(Math.log2(Math.max(1, maxSamples)));
         const MAX_EXP = 20; // cap at 2^20 samples
         const exp = Math.min(pow, MAX_EXP);
@@ -541,15 +1184,65 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
         Atomics.store(ctrl, 2, 0); // WR_HEAD
         Atomics.store(ctrl, 3, 0); // COMMITTED
         Atomics.store(ctrl, 4, 0); // DROPPED
-        Atomics.store(ctrl, 5, 0); // RUN_ID_LOW (unused)
+        Atomics.store(ctrl, 5, 0); // CONSUMED (read position of the stream consumer)
         Atomics.store(ctrl, 6, 0); // RUN_ID_HIGH (unused)
       } catch (e) {
         debug("warn", "SAB allocation failed; continuing without SAB", { err: String(e) });
         sab = null; ctrl = null; sabData = null; capacityPow2 = 0;
       }
     }
+    runCtrl = ctrl;
+    // Online statistics over the streamed samples; the status line shows the cell in progress
+    const stream = sab && config.STREAM_STATS ? createStreamConsumer(sab, capacityPow2) : null;
+    let progressMessage = "";
+    if (stream) {
+      const streamTimer = setInterval(() => {
+        if (stream.drain() === 0 || !progressMessage) return;
+        const live = stream.live();
+        if (live.samples > 0) setStatus(statusEl, `${progressMessage} · ${i18n.liveEstimateLabel}: ${live.momMs.toFixed(4)} ms (n = ${live.samples})`);
+      }, Math.max(50, config.progressIntervalMs || 250));
+      runAbort.signal.addEventListener("abort", () => clearInterval(streamTimer));
+    }
 
     const results = [];
+    const concurrencyScaling = [];
+    let inputShapeComparison = [];
+    let sizeScaling = [];
+    // Rewrite only the label's text node so a latency line under it survives
+    const refreshLabel = (r) => {
+      const label = rowElements.get(r)?.firstElementChild?.firstChild;
+      if (label) label.nodeValue = rowLabel(r, i18n);
+    };
+    const rowElements = new Map();
+    const showRow = (row) => {
+      results.push(row);
+      const tr = buildRow(row, i18n);
+      rowElements.set(row, tr);
+      tbody.appendChild(tr);
+    };
+    // A reserve top-up re-posts a finished cell (`revised`): swap it in place of the first-pass row
+    const replaceRow = (row) => {
+      const key = cellKey(row);
+      const i = results.findIndex((r) => !r.error && cellKey(r) === key);
+      if (i < 0) { showRow(row); return; }
+      const previous = results.splice(i, 1, row).at(0);
+      const tr = buildRow(row, i18n);
+      rowElements.get(previous)?.replaceWith(tr);
+      rowElements.delete(previous);
+      rowElements.set(row, tr);
+    };
+    // Cells finished in an earlier session are shown as they were and skipped by the worker
+    const resumedRows = Array.isArray(resumeFrom?.results) ? resumeFrom.results.filter((r) => r && !r.error) : [];
+    for (const row of resumedRows) showRow(row);
+    updateBar(barEl, (results.length / totalCells) * 100);
+    // Persist finished cells after each result; writes are chained so the latest always wins
+    const checkpoint = () => {
+      if (!identity) return;
+      const record = { runId, ...identity, modes: modes.slice(), createdAt: checkpointCreatedAt, results: results.filter((r) => !r.error) };
+      checkpointWrites = checkpointWrites.then(() => saveCheckpoint(record)).catch((err) => {
+        debug("warn", "checkpoint write failed", { err: String(err?.message || err) });
+      });
+    };
   const onMessage = async (e) => {
       const data = e.data;
       if (!data || typeof data !== "object") return;
@@ -557,16 +1250,67 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
       debug("info", "worker message", { type: data.type });
   if (data.type === "progress") {
         if (typeof data.completed === "number" && typeof data.total === "number") {
-          updateBar(barEl, (data.completed / totalCells) * 100);
+          updateBar(barEl, ((resumedRows.length + data.completed) / totalCells) * 100);
+        }
+        if (typeof data.message === "string") {
+          progressMessage = data.message;
+          setStatus(statusEl, data.message);
         }
-        if (typeof data.message === "string") setStatus(statusEl, data.message);
         if (typeof data.timerGranularityMs === "number") {
           runMeta.timerGranularityMs = data.timerGranularityMs;
         }
+      } else if (data.type === "plan") {
+        if (Number.isSafeInteger(data.cells) && data.cells > 0) totalCells = data.cells;
+      } else if (data.type === "stream-segment") {
+        stream?.commitSegment(data);
       } else if (data.type === "result") {
-        results.push(data.payload);
-        tbody.appendChild(buildRow(data.payload, i18n));
+        // The consumer's numbers for the same samples, next to the worker's
+        if (stream && data.payload && !data.payload.error) {
+          data.payload.streamCheck = stream.crossCheck(data.payload);
+          if (data.payload.streamCheck && !data.payload.streamCheck.agrees) debug("warn", "stream cross-check mismatch", { cell: cellLabel(data.payload), ...data.payload.streamCheck, batches: data.payload.batches, dropped: stream.dropped });
+        }
+        if (data.payload?.revised) replaceRow(data.payload);
+        else showRow(data.payload);
         updateBar(barEl, (results.length / totalCells) * 100);
+        if (data.payload && !data.payload.error) checkpoint();
+      } else if (data.type === "scaling") {
+        // Concurrency sweep finished for one cell: annotate its rows and mark the saturation point
+        const summary = data.payload;
+        if (summary && typeof summary === "object") {
+          concurrencyScaling.push(summary);
+          for (const r of results) {
+            if (!sameSweepCell(r, summary)) continue;
+            r.saturationConcurrency = summary.saturationConcurrency;
+            r.isSaturationPoint = r.concurrency === summary.saturationConcurrency;
+            refreshLabel(r);
+          }
+        }
+      } else if (data.type === "shape-comparison") {
+        // Per-shape cost relative to a plain Uint8Array of the same cell
+        if (Array.isArray(data.payload)) {
+          inputShapeComparison = data.payload;
+          for (const comparison of inputShapeComparison) {
+            for (const entry of comparison.shapes || []) {
+              const r = results.find((row) => !row.error && row.inputShape === entry.inputShape && (row.concurrency ?? 1) === comparison.concurrency && sameSweepCell(row, { ...comparison, inputShape: entry.inputShape }));
+              if (!r) continue;
+              r.shapeRatio = entry.ratio;
+              r.shapeBaseline = comparison.baselineShape;
+              refreshLabel(r);
+            }
+          }
+        }
+      } else if (data.type === "size-scaling") {
+        // Fixed overhead and per-byte cost per algorithm: one summary row each, sizes off the line flagged
+        if (Array.isArray(data.payload)) {
+          sizeScaling = data.payload;
+          for (const fit of sizeScaling) {
+            for (const r of results) {
+              if (r.error || r.inputUnit !== "bytes" || !sameSweepCell(r, { ...fit, inputSize: r.inputSize, inputUnit: "bytes" }) || (r.concurrency ?? 1) !== fit.concurrency) continue;
+              r.sizeFitDeviates = fit.deviations.some((d) => d.inputSize === r.inputSize);
+            }
+            tbody.appendChild(buildSizeScalingRow(fit, i18n));
+          }
+        }
       } else if (data.type === "ready") {
         debug("info", "worker ready", {});
       } else if (data.type === "log") {
@@ -583,10 +1327,11 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
         // SAB diagnostics
         try {
           if (ctrl && sabData && capacityPow2 > 0) {
+            stream?.drain();
             const committed = Atomics.load(ctrl, 3);
             const dropped = Atomics.load(ctrl, 4);
             const lastSample = committed > 0 ? sabData[(committed - 1) & (capacityPow2 - 1)] : null;
-            debug("info", "SAB diagnostics", { committed, dropped, lastSample });
+            debug("info", "SAB diagnostics", { committed, dropped, consumed: stream?.consumed ?? null, lastSample });
           }
         } catch {}
         // Merge meta if present
@@ -600,22 +1345,82 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
             secureDevLog("debug", "crypto-benchmark", "debugSeedFingerprint", { id: String(runMeta.debugSeedFingerprint) });
           }
         } catch {}
+        // A cancelled run reports only the cells that finished
+        let partial = data.partial === true || cancelRequested;
+        // Optional multi-worker phase: same digest cells on 1 worker, then on N behind a start barrier
+        let parallelScaling = [];
+        const parallelWorkers = parallelWorkerCount(config.PARALLEL_WORKERS, config.PARALLEL_MAX_WORKERS);
+        if (parallelWorkers > 1 && !coi) {
+          debug("warn", "multi-worker mode requires cross-origin isolation (SharedArrayBuffer); skipped", {});
+        } else if (parallelWorkers > 1 && !partial) {
+          parallelAbort = new AbortController();
+          try {
+            setStatus(statusEl, i18n.parallelRunning);
+            const group = {
+              url: getTrustedWorkerURL(workerUrl),
+              operations: [{ op: "digest", algos: config.algos, sizes: config.PARALLEL_SIZES }],
+              windowMs: config.PARALLEL_WINDOW_MS,
+              warmupMs: config.PARALLEL_WARMUP_MS,
+              poolSize: config.poolSize,
+              signal: parallelAbort.signal,
+            };
+            const single = await runParallelGroup({ ...group, workerCount: 1 });
+            const multi = await runParallelGroup({ ...group, workerCount: parallelWorkers });
+            parallelScaling = summarizeParallel(single, multi, parallelWorkers);
+            for (const summary of parallelScaling) tbody.appendChild(buildParallelRow(summary, i18n));
+          } catch (err) {
+            debug("warn", "multi-worker phase failed", { err: String(err?.message || err) });
+          } finally {
+            parallelAbort = null;
+          }
+          if (aborted) return;
+        }
+        partial = partial || cancelRequested;
+        try { clearTimeout(cancelTimer); } catch {}
+        // A finished run needs no checkpoint; a partial one keeps it for a later resume
+        if (!partial) {
+          checkpointWrites = checkpointWrites.then(() => deleteCheckpoint(runId)).catch(() => {});
+        }
+        const skipped = typeof data.cellsSkipped === "number" ? data.cellsSkipped : 0;
         // Finalize single-run scenario
         last = {
           timestamp: new Date().toISOString(),
           scriptVersion: SCRIPT_VERSION,
           runId: runId || (await createRunId()),
+          modes: modes.slice(),
+          partial,
+          ...(partial ? { cellsCompleted: typeof data.cellsCompleted === "number" ? data.cellsCompleted + skipped : results.length, cellsPlanned: typeof data.cellsPlanned === "number" ? data.cellsPlanned + skipped : totalCells } : {}),
+          // Cells carried over from a checkpointed earlier session of the same run
+          resumedCells: resumedRows.length,
+          concurrencyScaling,
+          parallelScaling,
+          inputShapeComparison,
+          // Overhead + per-byte model per algorithm across the size ladder
+          sizeScaling,
+          // Thermal reference over the run: start value, cooldown time spent and every check
+          thermal: { baselineMs: runMeta.thermalBaselineMs, cooldownMs: runMeta.thermalCooldownMs, trace: runMeta.thermalTrace },
+          // Measurement order chosen by the worker (rows carry their orderIndex), for order-effect checks
+          schedule: runMeta.schedule,
+          // Allocation strategy, reserve and deadline accounting of the measurement phase
+          budget: runMeta.budget,
+          // Two-sided level of every row's bootstrapCiMs, and the default level for comparing this export
+          ciConfidence: confidenceLevel(config.CI_CONFIDENCE),
+          // Stability verdict and every cell with severe outliers (OUTLIER_BUDGET_LIMIT decides only the verdict)
+          quality: analyzeRunQuality(results),
+          // Samples the main-thread consumer read from the ring, and those the full ring dropped
+          stream: stream ? { consumed: stream.consumed, dropped: stream.dropped } : null,
           env: { ...(envCache || (envCache = await getEnv(lang))) },
           results,
         };
         // Update analysis meta display
         try {
-          analysis.textContent = `Timer granularity: ${(runMeta.timerGranularityMs || 0).toFixed(4)} ms • SAB overhead: ${(runMeta.sabOverheadMs || 0).toFixed(6)} ms`;
+          analysis.textContent = `Timer granularity: ${(runMeta.timerGranularityMs || 0).toFixed(4)} ms • SAB overhead: ${(runMeta.sabOverheadMs || 0).toFixed(6)} ms • Async overhead: ${(runMeta.asyncOverheadMs || 0).toFixed(4)} ms • Thermal cooldown: ${((runMeta.thermalCooldownMs || 0) / 1000).toFixed(1)} s`;
         } catch {}
   // Pre-enable submit ASAP to avoid race with async env probing in tests
-  try { setDisabled(btnSubmit, !COLLECTOR_URL); } catch {}
-        finalizeUIAndEnableButtons(results);
+  try { setDisabled(btnSubmit, !COLLECTOR_URL || partial); } catch {}
+        finalizeUIAndEnableButtons(results, { partial });
     } else if (data.type === "error") {
+        try { clearTimeout(cancelTimer); } catch {}
         setStatus(statusEl, String(data.error || "Error"));
         setDisabled(btnRetry, false);
         setDisabled(btnAbort, true);
@@ -627,26 +1432,50 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
       }
     };
   worker.addEventListener("message", onMessage, { signal: runAbort.signal });
-    debug("info", "posting measure command", { algos: CONFIG.algos.length, sizes: CONFIG.sizes.length });
+    debug("info", "posting measure command", { operations: operationPlan.map((e) => e.op), cells: totalCells, modes });
     const cfg = {
-        algos: CONFIG.algos,
-        sizes: CONFIG.sizes,
-        warmupIters: CONFIG.warmupIters,
-        measureIters: CONFIG.measureIters,
-        TOTAL_BUDGET_MS: CONFIG.TOTAL_BUDGET_MS,
-        CALIBRATION_ITERS: CONFIG.CALIBRATION_ITERS,
-        TARGET_BATCH_MS: CONFIG.TARGET_BATCH_MS,
-        MIN_RECORDED_BATCHES: CONFIG.MIN_RECORDED_BATCHES,
-        PER_CELL_MAX_BATCHES: CONFIG.PER_CELL_MAX_BATCHES,
-        CV_FLAG_THRESHOLD: CONFIG.CV_FLAG_THRESHOLD,
-        CV_STOP_THRESHOLD: CONFIG.CV_STOP_THRESHOLD,
-        MAX_REMEDIATION_ATTEMPTS: CONFIG.MAX_REMEDIATION_ATTEMPTS,
-        PER_BATCH_SAMPLE_LIMIT: CONFIG.PER_BATCH_SAMPLE_LIMIT,
-        poolSize: CONFIG.poolSize,
+        operations: operationPlan,
+        warmupIters: config.warmupIters,
+        measureIters: config.measureIters,
+        TOTAL_BUDGET_MS: config.TOTAL_BUDGET_MS,
+        CALIBRATION_ITERS: config.CALIBRATION_ITERS,
+        CALIBRATION_MAX_MS: config.CALIBRATION_MAX_MS,
+        WARMUP_MAX_MS: config.WARMUP_MAX_MS,
+        RESUME_SETTLE_MS: config.RESUME_SETTLE_MS,
+        THERMAL_REFERENCE_MS: config.THERMAL_REFERENCE_MS,
+        THERMAL_DRIFT_THRESHOLD: config.THERMAL_DRIFT_THRESHOLD,
+        THERMAL_RECOVERY_THRESHOLD: config.THERMAL_RECOVERY_THRESHOLD,
+        THERMAL_COOLDOWN_STEP_MS: config.THERMAL_COOLDOWN_STEP_MS,
+        THERMAL_MAX_COOLDOWN_MS: config.THERMAL_MAX_COOLDOWN_MS,
+        TARGET_BATCH_MS: config.TARGET_BATCH_MS,
+        MIN_BATCH_TICKS: config.MIN_BATCH_TICKS,
+        MIN_RECORDED_BATCHES: config.MIN_RECORDED_BATCHES,
+        PER_CELL_MAX_BATCHES: config.PER_CELL_MAX_BATCHES,
+        CV_FLAG_THRESHOLD: config.CV_FLAG_THRESHOLD,
+        CV_STOP_THRESHOLD: config.CV_STOP_THRESHOLD,
+        PRECISION_TARGET: config.PRECISION_TARGET,
+        PRECISION_MIN_BATCHES: config.PRECISION_MIN_BATCHES,
+        PRECISION_MAX_BATCHES: config.PRECISION_MAX_BATCHES,
+        MAX_REMEDIATION_ATTEMPTS: config.MAX_REMEDIATION_ATTEMPTS,
+        TREND_ALPHA: config.TREND_ALPHA,
+        TREND_MIN_CHANGE: config.TREND_MIN_CHANGE,
+        CI_METHOD: config.CI_METHOD,
+        CI_CONFIDENCE: config.CI_CONFIDENCE,
+        SCHEDULE: config.SCHEDULE,
+        SCHEDULE_ROUNDS: config.SCHEDULE_ROUNDS,
+        ALLOCATION: config.ALLOCATION,
+        RESERVE_FRACTION: config.RESERVE_FRACTION,
+        HARD_DEADLINE_FACTOR: config.HARD_DEADLINE_FACTOR,
+        STREAM_STATS: config.STREAM_STATS,
+        PER_BATCH_SAMPLE_LIMIT: config.PER_BATCH_SAMPLE_LIMIT,
+        poolSize: config.poolSize,
+        concurrencyLevels: levels,
+        skipCells: resumedRows.map(cellKey),
+        recordLatency: config.LATENCY_HISTOGRAM,
+        maxPayloadBytes: payloadMemoryCapBytes(),
         modeRequested: coi ? "cross_isolated" : "degraded",
         pairedRunId: "",
         crossOriginIsolated: coi,
-        isMobile: isMobile(),
         DEBUG: DEBUG,
         includePerBatchInPayload: DEBUG === true,
       };
@@ -656,16 +1485,20 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
     }
     worker.postMessage({ cmd: "measure", cfg });
 
-    // Abort run if tab is backgrounded (data integrity)
+    // Tab backgrounded (data integrity): pause until visible again, or stop the run
     const visibilityHandler = () => {
       try {
+        if (config.VISIBILITY_POLICY === "pause") {
+          const hidden = document.visibilityState === 'hidden';
+          try { worker?.postMessage({ cmd: hidden ? "pause" : "resume" }); } catch {}
+          debug("info", hidden ? "tab hidden: pausing" : "tab visible: resuming", {});
+          return;
+        }
         if (document.visibilityState === 'hidden') {
-          console.warn('[Benchmark]: Tab backgrounded. Aborting run to ensure data integrity.');
-          try { secureDevLog("warn", "crypto-benchmark", "Tab backgrounded; aborting run to preserve data integrity", {}); } catch {}
-          aborted = true;
-          try { worker?.terminate(); worker = null; } catch {}
-          setStatus(statusEl, 'Benchmark aborted: Tab was moved to the background.');
-      try { clearRunResources(); } catch {}
+          console.warn('[Benchmark]: Tab backgrounded. Stopping run to ensure data integrity.');
+          try { secureDevLog("warn", "crypto-benchmark", "Tab backgrounded; stopping run to preserve data integrity", {}); } catch {}
+          // Cells finished before backgrounding are kept; the one in progress is discarded
+          requestCancel('Benchmark stopped: Tab was moved to the background.');
           document.removeEventListener('visibilitychange', visibilityHandler);
         }
       } catch {}
@@ -675,20 +1508,19 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
 
   // NOTE: Second run is triggered by calling run() again after the first completes (no helper needed)
 
-  btnStart.addEventListener("click", run, { signal: abort.signal });
+  btnStart.addEventListener("click", () => run(), { signal: abort.signal });
+  if (btnResume) {
+    setDisabled(btnResume, true);
+    btnResume.addEventListener("click", () => { if (resumable) run(resumable); }, { signal: abort.signal });
+  }
   btnRetry.addEventListener("click", () => { resetUI(); run(); }, { signal: abort.signal });
   btnAbort.addEventListener(
     "click",
     () => {
-  aborted = true;
-  try { worker?.terminate(); worker = null; } catch {}
   debug("info", "abort: user requested", {});
-  setStatus(statusEl, i18n.aborted);
-  setDisabled(btnAbort, true);
-  // Clear any run-scoped resources (e.g., watchdog, listeners)
-  try { clearRunResources(); } catch {}
-  // Defer the full UI reset to a new macrotask to avoid race with in-flight messages
-  setTimeout(resetUI, 0);
+  // Before the first message there is nothing to keep: terminate outright
+  if (!firstMessageReceived) { hardAbort(i18n.aborted); return; }
+  requestCancel(i18n.cancelling);
     },
     { signal: abort.signal },
   );
@@ -701,11 +1533,11 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
     download("browser-hash-benchmark.json", JSON.stringify(last, null, 2));
   }, { signal: abort.signal });
   btnSubmit.addEventListener("click", async () => {
-    if (!last || !COLLECTOR_URL) return;
+    if (!last || !COLLECTOR_URL || last.partial) return;
     try {
       setStatus(statusEl, i18n.submitting);
       // Build secure, trimmed payload per Security Constitution
-      const stable = analyzeRunQuality(last.results);
+      const stable = analyzeRunQuality(last.results).stable;
       const env = { ...(last.env || {}) };
       // Ensure we don't transmit deprecated/diagnostic fields
       try { delete env.visibilityState; } catch {}
@@ -714,6 +1546,7 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
       const payload = {
         runId: last.runId,
         scriptVersion: last.scriptVersion,
+        modes: last.modes ?? [],
         isStable: stable,
         // Flatten env
         anonId: env.anonId ?? null,
@@ -726,7 +1559,19 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
         battery: includeHiEntropy && env.battery ? JSON.stringify(env.battery) : null,
         timerGranularityMs: runMeta.timerGranularityMs ?? null,
         sabOverheadMs: runMeta.sabOverheadMs ?? null,
-        results: last.results.map(({ perBatchMs, calibrationTimeMs, timerGranularityMs, mode, pairedRunId, crossOriginIsolated, ...rest }) => rest),
+        asyncOverheadMs: runMeta.asyncOverheadMs ?? null,
+        promiseOverheadMs: runMeta.promiseOverheadMs ?? null,
+        pauseCount: runMeta.pauseCount ?? 0,
+        resumedCells: last.resumedCells ?? 0,
+        thermal: last.thermal ?? null,
+        schedule: last.schedule ?? null,
+        budget: last.budget ?? null,
+        ciConfidence: last.ciConfidence ?? null,
+        concurrencyScaling: last.concurrencyScaling ?? [],
+        parallelScaling: last.parallelScaling ?? [],
+        inputShapeComparison: last.inputShapeComparison ?? [],
+        sizeScaling: last.sizeScaling ?? [],
+        results: last.results.map(({ perBatchMs, samplesMs, streamCheck, calibrationTimeMs, timerGranularityMs, mode, pairedRunId, crossOriginIsolated, ...rest }) => rest),
       };
       const res = await fetch(COLLECTOR_URL, {
         method: "POST",
@@ -745,14 +1590,20 @@ export function mountCryptoBenchmark(section, { scriptEl, lang: langInput, colle
   }, { signal: abort.signal });
 
   const api = {
+    // Resume the interrupted run offered on mount, if any
+    resume() {
+      return resumable ? run(resumable) : Promise.resolve();
+    },
     destroy() {
       try { abort.abort(); } catch {}
       try { worker?.terminate(); } catch {}
+      try { parallelAbort?.abort(); } catch {}
       MOUNTED.delete(section);
     },
   };
 
   MOUNTED.set(section, api);
+  probeCheckpoint();
   return api;
 }
 
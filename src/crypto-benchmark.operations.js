@@ -0,0 +1,411 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+// Author Website: https://david-osipov.vision
+// Author ISNI: 0000 0005 1802 960X
+// Author ISNI URL: https://isni.org/isni/000000051802960X
+// Author ORCID: 0009-0005-2713-9242
+// Author VIAF: 139173726847611590332
+// Author Wikidata: Q130604188
+// Version: 4.6.3
+// Operation registry for the crypto benchmark: one descriptor per measurable WebCrypto call.
+//
+// The worker measures whatever descriptors the main thread names in `cfg.operations`.
+// Additional operations can be registered from a custom worker entry module that imports
+// this module and `crypto-benchmark.worker.js` (see README, "Custom operations").
+
+/**
+ * @typedef {Object} OperationContext
+ * @property {SubtleCrypto} subtle
+ * @property {string} algo                 Algorithm label from the plan entry.
+ * @property {number} size                 Value on the descriptor's input axis.
+ * @property {string} unit                 Axis unit ("bytes", "iterations", "bits", ...).
+ * @property {string|null} variant         Variant from the descriptor's `variants`, if any.
+ * @property {string|null} shape           Input buffer shape for bytes-axis cells ("dataview", ...), if swept.
+ * @property {number} slots                Rotation depth (pool size) for inputs/params.
+ * @property {Record<string, unknown>} options  Per-entry options from `cfg.operations`.
+ * @property {(size: number, count: number) => BufferSource[]} createPool  Seeded random input pool, in the cell's shape.
+ *   Pools are shared by a run's cells of the same size, so setup must not modify or transfer them.
+ * @property {(n: number) => Uint8Array} randomBytes  CSPRNG bytes for keys, IVs and salts.
+ */
+
+/**
+ * @typedef {Object} OperationDescriptor
+ * @property {string} id        Operation name; also reported as the row's `operation`.
+ * @property {string} family    Grouping label (digest, cipher, signature, derive, ...).
+ * @property {(algo: string, entry: Object) => { unit: string, values: number[] }} [axis]
+ *   Input axis for a plan entry; defaults to the entry's `sizes` in bytes.
+ * @property {(algo: string, entry: Object) => string[]} [variants]
+ *   Optional extra dimension (e.g. key formats); each variant becomes its own cell.
+ * @property {(ctx: { subtle: SubtleCrypto, algo: string, options: Object, randomBytes: Function }) => Promise<boolean>} isSupported
+ *   Capability check, run once per algorithm before calibration.
+ * @property {(ctx: OperationContext) => Promise<{ invoke: (i: number) => Promise<unknown> }>} setup
+ *   Prepares keys, IVs and inputs outside the timed region; `invoke(i)` issues exactly one call.
+ * @property {(ctx: { size: number, unit: string, slots: number, poolBytes: number }) => number} [footprintBytes]
+ *   Bytes `setup` keeps alive, checked against the run's memory cap; defaults to `poolBytes`,
+ *   the input pool of a bytes-axis cell.
+ */
+
+const REGISTRY = new Map();
+
+/**
+ * Register (or replace) an operation descriptor.
+ * @param {OperationDescriptor} descriptor
+ */
+export function registerOperation(descriptor) {
+  const id = typeof descriptor?.id === "string" ? descriptor.id.trim() : "";
+  if (!id) throw new TypeError("Operation descriptor requires a non-empty id");
+  if (typeof descriptor.setup !== "function") throw new TypeError(`Operation ${id}: setup() is required`);
+  if (typeof descriptor.isSupported !== "function") throw new TypeError(`Operation ${id}: isSupported() is required`);
+  REGISTRY.set(id, Object.freeze({ family: id, ...descriptor, id }));
+}
+
+/** @returns {OperationDescriptor|undefined} */
+export function getOperation(id) {
+  return REGISTRY.get(id);
+}
+
+export function listOperations() {
+  return [...REGISTRY.keys()];
+}
+
+/**
+ * Expand `cfg.operations` entries ({ op, algos, sizes, shapes, options, ...axis fields }) into cells.
+ * Bytes-axis cells are repeated per input shape when the entry lists `shapes`.
+ * Entries naming an unregistered operation still expand (bytes axis) so the engine can report them.
+ */
+export function planCells(entries) {
+  const cells = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const descriptor = REGISTRY.get(entry?.op);
+    for (const algo of entry?.algos || []) {
+      const axis = descriptor?.axis ? descriptor.axis(algo, entry) : { unit: "bytes", values: entry.sizes || [] };
+      const variants = descriptor?.variants ? descriptor.variants(algo, entry) : [null];
+      const shapes = axis.unit === "bytes" && Array.isArray(entry.shapes) && entry.shapes.length > 0 ? entry.shapes : [null];
+      for (const variant of variants) {
+        for (const size of axis.values || []) {
+          for (const shape of shapes) {
+            cells.push({ op: entry.op, family: descriptor?.family ?? entry.op, algo, operation: entry.op, variant, shape, size, unit: axis.unit, options: entry.options ?? {} });
+          }
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Stable identity of one cell at one concurrency level. Accepts a planned cell (shape, size, unit)
+ * or a result row (inputShape, inputSize, inputUnit), so checkpointed rows match the plan.
+ */
+export function cellKey(c) {
+  return [c.operation, c.algo, c.variant ?? "", c.shape ?? c.inputShape ?? "", c.size ?? c.inputSize, c.unit ?? c.inputUnit, c.concurrency ?? 1].join("\u0000");
+}
+
+/**
+ * Translate the flat family config (algos, cipherAlgos, signAlgos, deriveAlgos and their ladders)
+ * into plan entries for the built-in descriptors. `inputShapes` applies to the digest cells.
+ */
+export function operationsFromConfig(cfg) {
+  const { algos = [], sizes = [], cipherAlgos = [], cipherOps = ["encrypt", "decrypt"], cipherKeyBits = 256, signAlgos = [], signOps = ["sign", "verify"], deriveAlgos = [], pbkdf2Iterations = [], hkdfLengths = [], keyAlgos = [], keyOps = ["generateKey", "importKey", "exportKey"], keyFormats = ["raw", "jwk", "pkcs8", "spki"], rsaModulusLengths = [2048], inputShapes = [] } = cfg || {};
+  const entries = [{ op: "digest", algos, sizes, shapes: inputShapes }];
+  for (const op of cipherOps) entries.push({ op, algos: cipherAlgos, sizes, options: { keyBits: cipherKeyBits } });
+  for (const op of signOps) entries.push({ op, algos: signAlgos, sizes });
+  entries.push({ op: "deriveBits", algos: deriveAlgos, iterations: pbkdf2Iterations, lengths: hkdfLengths });
+  for (const op of keyOps) entries.push({ op, algos: keyAlgos, moduli: rsaModulusLengths, formats: keyFormats });
+  return entries;
+}
+
+async function succeeds(fn) {
+  try {
+    await fn();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// --- Digest ---------------------------------------------------------------
+
+registerOperation({
+  id: "digest",
+  family: "digest",
+  isSupported: ({ subtle, algo }) => succeeds(() => subtle.digest(algo, new Uint8Array(0))),
+  async setup({ subtle, algo, size, slots, createPool }) {
+    const pool = createPool(size, slots);
+    return { invoke: (i) => subtle.digest(algo, pool.at(i % pool.length)) };
+  },
+});
+
+// --- Symmetric ciphers ----------------------------------------------------
+
+// Symmetric cipher IV/counter lengths (bytes) per WebCrypto algorithm name
+const CIPHER_IV_BYTES = new Map([["AES-GCM", 12], ["AES-CTR", 16], ["AES-CBC", 16]]);
+
+function cipherParams(algo, iv) {
+  if (algo === "AES-GCM") return { name: algo, iv };
+  if (algo === "AES-CTR") return { name: algo, counter: iv, length: 64 };
+  if (algo === "AES-CBC") return { name: algo, iv };
+  throw new Error(`Unsupported cipher: ${algo}`);
+}
+
+function cipherKeyBytes(options) {
+  return Math.max(16, (Number(options?.keyBits) || 256) >>> 3);
+}
+
+// Per-cell key import plus one IV/counter per pool slot. IVs repeat across iterations under a
+// throwaway key over random data; this is a timing harness, not a confidentiality boundary.
+async function prepareCipher({ subtle, algo, size, slots, options, createPool, randomBytes }) {
+  const ivBytes = CIPHER_IV_BYTES.get(algo);
+  if (!ivBytes) throw new Error(`Unsupported cipher: ${algo}`);
+  const key = await subtle.importKey("raw", randomBytes(cipherKeyBytes(options)), { name: algo }, false, ["encrypt", "decrypt"]);
+  const pool = createPool(size, slots);
+  const params = pool.map(() => cipherParams(algo, randomBytes(ivBytes)));
+  return { key, pool, params };
+}
+
+// Ciphertext outgrows the plaintext by at most one block (CBC padding) or the GCM tag
+const CIPHER_EXPANSION_BYTES = 16;
+
+const cipherSupported = ({ subtle, algo, options, randomBytes }) =>
+  succeeds(() => subtle.importKey("raw", randomBytes(cipherKeyBytes(options)), { name: algo }, false, ["encrypt", "decrypt"]));
+
+registerOperation({
+  id: "encrypt",
+  family: "cipher",
+  isSupported: cipherSupported,
+  // The input pool plus the ciphertext of the call in flight
+  footprintBytes: ({ size, poolBytes }) => poolBytes + size + CIPHER_EXPANSION_BYTES,
+  async setup(ctx) {
+    const { key, pool, params } = await prepareCipher(ctx);
+    return { invoke: (i) => ctx.subtle.encrypt(params.at(i % pool.length), key, pool.at(i % pool.length)) };
+  },
+});
+
+registerOperation({
+  id: "decrypt",
+  family: "cipher",
+  isSupported: cipherSupported,
+  // The input pool, one ciphertext per slot and the plaintext of the call in flight
+  footprintBytes: ({ size, slots, poolBytes }) => poolBytes + slots * (size + CIPHER_EXPANSION_BYTES) + size,
+  async setup(ctx) {
+    const { key, pool, params } = await prepareCipher(ctx);
+    const ciphertexts = [];
+    for (let k = 0; k < pool.length; k++) {
+      ciphertexts.push(await ctx.subtle.encrypt(params.at(k), key, pool.at(k)));
+    }
+    return { invoke: (i) => ctx.subtle.decrypt(params.at(i % pool.length), key, ciphertexts.at(i % pool.length)) };
+  },
+});
+
+// --- Signatures and MACs --------------------------------------------------
+
+// Key generation parameters and per-call sign/verify parameters
+const RSA_PUBLIC_EXPONENT = new Uint8Array([0x01, 0x00, 0x01]);
+const SIGN_ALGORITHMS = new Map([
+  ["HMAC-SHA-256", { keyGen: { name: "HMAC", hash: "SHA-256" }, params: { name: "HMAC" } }],
+  ["HMAC-SHA-384", { keyGen: { name: "HMAC", hash: "SHA-384" }, params: { name: "HMAC" } }],
+  ["HMAC-SHA-512", { keyGen: { name: "HMAC", hash: "SHA-512" }, params: { name: "HMAC" } }],
+  ["ECDSA-P-256", { keyGen: { name: "ECDSA", namedCurve: "P-256" }, params: { name: "ECDSA", hash: "SHA-256" } }],
+  ["ECDSA-P-384", { keyGen: { name: "ECDSA", namedCurve: "P-384" }, params: { name: "ECDSA", hash: "SHA-384" } }],
+  ["Ed25519", { keyGen: { name: "Ed25519" }, params: { name: "Ed25519" } }],
+  ["RSA-PSS-2048", { keyGen: { name: "RSA-PSS", modulusLength: 2048, publicExponent: RSA_PUBLIC_EXPONENT, hash: "SHA-256" }, params: { name: "RSA-PSS", saltLength: 32 } }],
+]);
+
+function signSpec(algo) {
+  const spec = SIGN_ALGORITHMS.get(algo);
+  if (!spec) throw new Error(`Unsupported signature algorithm: ${algo}`);
+  return spec;
+}
+
+// Keys are generated once per cell, before warmup; HMAC yields a single secret key
+async function prepareSignature({ subtle, algo, size, slots, createPool }) {
+  const spec = signSpec(algo);
+  const generated = await subtle.generateKey(spec.keyGen, false, ["sign", "verify"]);
+  return {
+    spec,
+    signKey: generated.privateKey ?? generated,
+    verifyKey: generated.publicKey ?? generated,
+    pool: createPool(size, slots),
+  };
+}
+
+const signSupported = ({ subtle, algo }) => succeeds(() => subtle.generateKey(signSpec(algo).keyGen, false, ["sign", "verify"]));
+
+registerOperation({
+  id: "sign",
+  family: "signature",
+  isSupported: signSupported,
+  async setup(ctx) {
+    const { spec, signKey, pool } = await prepareSignature(ctx);
+    return { invoke: (i) => ctx.subtle.sign(spec.params, signKey, pool.at(i % pool.length)) };
+  },
+});
+
+registerOperation({
+  id: "verify",
+  family: "signature",
+  isSupported: signSupported,
+  async setup(ctx) {
+    const { spec, signKey, verifyKey, pool } = await prepareSignature(ctx);
+    const signatures = [];
+    for (let k = 0; k < pool.length; k++) {
+      signatures.push(await ctx.subtle.sign(spec.params, signKey, pool.at(k)));
+    }
+    return { invoke: (i) => ctx.subtle.verify(spec.params, verifyKey, signatures.at(i % pool.length), pool.at(i % pool.length)) };
+  },
+});
+
+// --- Key derivation and agreement -----------------------------------------
+
+// `unit` names the cell's size axis: PBKDF2 walks an iteration-count ladder, HKDF an
+// output-length ladder (bits), and key agreement has a single point at the curve's
+// shared-secret length.
+const DERIVE_ALGORITHMS = new Map([
+  ["PBKDF2-SHA-256", { kind: "pbkdf2", hash: "SHA-256", unit: "iterations" }],
+  ["PBKDF2-SHA-512", { kind: "pbkdf2", hash: "SHA-512", unit: "iterations" }],
+  ["HKDF-SHA-256", { kind: "hkdf", hash: "SHA-256", unit: "bits" }],
+  ["HKDF-SHA-512", { kind: "hkdf", hash: "SHA-512", unit: "bits" }],
+  ["ECDH-P-256", { kind: "agreement", keyGen: { name: "ECDH", namedCurve: "P-256" }, unit: "bits", bits: 256 }],
+  ["ECDH-P-384", { kind: "agreement", keyGen: { name: "ECDH", namedCurve: "P-384" }, unit: "bits", bits: 384 }],
+  ["X25519", { kind: "agreement", keyGen: { name: "X25519" }, unit: "bits", bits: 256 }],
+]);
+// Output length for PBKDF2 cells (the axis there is iterations)
+const PBKDF2_OUTPUT_BITS = 256;
+
+function deriveSpec(algo) {
+  const spec = DERIVE_ALGORITHMS.get(algo);
+  if (!spec) throw new Error(`Unsupported derivation algorithm: ${algo}`);
+  return spec;
+}
+
+registerOperation({
+  id: "deriveBits",
+  family: "derive",
+  axis(algo, entry) {
+    const spec = DERIVE_ALGORITHMS.get(algo);
+    if (spec?.kind === "pbkdf2") return { unit: "iterations", values: entry.iterations || [] };
+    if (spec?.kind === "hkdf") return { unit: "bits", values: entry.lengths || [] };
+    return { unit: "bits", values: [spec?.bits ?? 256] };
+  },
+  isSupported({ subtle, algo, randomBytes }) {
+    const spec = DERIVE_ALGORITHMS.get(algo);
+    if (!spec) return Promise.resolve(false);
+    if (spec.kind === "pbkdf2") return succeeds(() => subtle.importKey("raw", randomBytes(16), "PBKDF2", false, ["deriveBits"]));
+    if (spec.kind === "hkdf") return succeeds(() => subtle.importKey("raw", randomBytes(32), "HKDF", false, ["deriveBits"]));
+    return succeeds(() => subtle.generateKey(spec.keyGen, false, ["deriveBits"]));
+  },
+  // `size` is the axis value here (iterations or output bits), not a byte length
+  async setup({ subtle, algo, size, slots, randomBytes }) {
+    const spec = deriveSpec(algo);
+    if (spec.kind === "pbkdf2") {
+      const keys = [];
+      const params = [];
+      for (let k = 0; k < slots; k++) {
+        keys.push(await subtle.importKey("raw", randomBytes(16), "PBKDF2", false, ["deriveBits"]));
+        params.push({ name: "PBKDF2", hash: spec.hash, salt: randomBytes(16), iterations: Math.max(1, size | 0) });
+      }
+      return { invoke: (i) => subtle.deriveBits(params.at(i % slots), keys.at(i % slots), PBKDF2_OUTPUT_BITS) };
+    }
+    if (spec.kind === "hkdf") {
+      const key = await subtle.importKey("raw", randomBytes(32), "HKDF", false, ["deriveBits"]);
+      const params = [];
+      for (let k = 0; k < slots; k++) {
+        params.push({ name: "HKDF", hash: spec.hash, salt: randomBytes(32), info: randomBytes(16) });
+      }
+      return { invoke: (i) => subtle.deriveBits(params.at(i % slots), key, size) };
+    }
+    // Own key pair plus a pool of peer public keys, all generated before warmup
+    const own = await subtle.generateKey(spec.keyGen, false, ["deriveBits"]);
+    const params = [];
+    for (let k = 0; k < slots; k++) {
+      const peer = await subtle.generateKey(spec.keyGen, false, ["deriveBits"]);
+      params.push({ name: spec.keyGen.name, public: peer.publicKey });
+    }
+    return { invoke: (i) => subtle.deriveBits(params.at(i % slots), own.privateKey, size) };
+  },
+});
+
+// --- Key generation, import and export ------------------------------------
+
+// The size axis is the key size in bits: a modulus ladder for RSA, the curve size otherwise.
+// `formats` lists the formats each algorithm can round-trip; raw/spki carry the public key,
+// pkcs8/jwk the private key (the costlier path for asymmetric keys).
+const KEY_ALGORITHMS = new Map([
+  ["RSA-PSS", { keyGen: (bits) => ({ name: "RSA-PSS", modulusLength: bits, publicExponent: RSA_PUBLIC_EXPONENT, hash: "SHA-256" }), importParams: { name: "RSA-PSS", hash: "SHA-256" }, usages: ["sign", "verify"], formats: ["jwk", "pkcs8", "spki"] }],
+  ["ECDSA-P-256", { keyGen: () => ({ name: "ECDSA", namedCurve: "P-256" }), importParams: { name: "ECDSA", namedCurve: "P-256" }, usages: ["sign", "verify"], bits: 256, formats: ["raw", "jwk", "pkcs8", "spki"] }],
+  ["ECDSA-P-384", { keyGen: () => ({ name: "ECDSA", namedCurve: "P-384" }), importParams: { name: "ECDSA", namedCurve: "P-384" }, usages: ["sign", "verify"], bits: 384, formats: ["raw", "jwk", "pkcs8", "spki"] }],
+  ["Ed25519", { keyGen: () => ({ name: "Ed25519" }), importParams: { name: "Ed25519" }, usages: ["sign", "verify"], bits: 256, formats: ["raw", "jwk", "pkcs8", "spki"] }],
+]);
+const PUBLIC_KEY_FORMATS = new Set(["raw", "spki"]);
+// RSA key generation is slow; a small rotation is enough to defeat caching of exported material
+const KEY_POOL_MAX = 2;
+
+function keySpec(algo) {
+  const spec = KEY_ALGORITHMS.get(algo);
+  if (!spec) throw new Error(`Unsupported key algorithm: ${algo}`);
+  return spec;
+}
+
+const keyAxis = (algo, entry) => {
+  const spec = KEY_ALGORITHMS.get(algo);
+  return { unit: "bits", values: spec && !spec.bits ? entry.moduli || [] : [spec?.bits ?? 256] };
+};
+
+const keyVariants = (algo, entry) => {
+  const supported = KEY_ALGORITHMS.get(algo)?.formats ?? [];
+  return (entry.formats || []).filter((f) => supported.includes(f));
+};
+
+const keySupported = ({ subtle, algo }) =>
+  succeeds(() => subtle.generateKey(keySpec(algo).keyGen(2048), false, keySpec(algo).usages));
+
+// Pre-generate extractable key pairs and pick the half matching the format
+async function prepareKeys({ subtle, algo, size, slots, variant }) {
+  const spec = keySpec(algo);
+  if (!spec.formats.includes(variant)) throw new Error(`Format ${variant} not supported for ${algo}`);
+  const isPublic = PUBLIC_KEY_FORMATS.has(variant);
+  const keys = [];
+  for (let k = 0; k < Math.min(slots, KEY_POOL_MAX); k++) {
+    const pair = await subtle.generateKey(spec.keyGen(size), true, spec.usages);
+    keys.push(isPublic ? pair.publicKey : pair.privateKey);
+  }
+  return { spec, keys, usages: isPublic ? ["verify"] : ["sign"] };
+}
+
+registerOperation({
+  id: "generateKey",
+  family: "keys",
+  axis: keyAxis,
+  isSupported: keySupported,
+  async setup({ subtle, algo, size }) {
+    const spec = keySpec(algo);
+    const params = spec.keyGen(size);
+    return { invoke: () => subtle.generateKey(params, false, spec.usages) };
+  },
+});
+
+registerOperation({
+  id: "importKey",
+  family: "keys",
+  axis: keyAxis,
+  variants: keyVariants,
+  isSupported: keySupported,
+  async setup(ctx) {
+    const { spec, keys, usages } = await prepareKeys(ctx);
+    const material = [];
+    for (const key of keys) material.push(await ctx.subtle.exportKey(ctx.variant, key));
+    return { invoke: (i) => ctx.subtle.importKey(ctx.variant, material.at(i % material.length), spec.importParams, false, usages) };
+  },
+});
+
+registerOperation({
+  id: "exportKey",
+  family: "keys",
+  axis: keyAxis,
+  variants: keyVariants,
+  isSupported: keySupported,
+  async setup(ctx) {
+    const { keys } = await prepareKeys(ctx);
+    return { invoke: (i) => ctx.subtle.exportKey(ctx.variant, keys.at(i % keys.length)) };
+  },
+});
@@ -97,10 +97,39 @@ export function medianOfMeans(arr, k = 5) {
   return median(groupMeans);
 }
 
-// Non-parametric bootstrap 95% CI for the mean of arr. Returns [low, high].
-export function bootstrapCI(arr, num_samples = 2000, prngArg = null) {
+// Two-sided confidence level, clamped to where a bootstrap's tail percentiles stay meaningful
+export function confidenceLevel(confidence) {
+  return Math.min(0.999, Math.max(0.5, Number(confidence) || 0.95));
+}
+
+// BCa acceleration from the jackknife (leave-one-out) estimates of `estimator`.
+export function jackknifeAcceleration(arr, estimator = mean) {
   const n = Array.isArray(arr) ? arr.length : 0;
-  if (n <= 1) return [mean(arr) || 0, mean(arr) || 0];
+  if (n < 3) return 0;
+  const jack = [];
+  for (let i = 0; i < n; i++) jack.push(estimator([...arr.slice(0, i), ...arr.slice(i + 1)]));
+  const jackMean = mean(jack);
+  let num = 0;
+  let den = 0;
+  for (const j of jack) {
+    const d = jackMean - j;
+    num += d * d * d;
+    den += d * d;
+  }
+  return den > 0 ? num / (6 * den ** 1.5) : 0;
+}
+
+/**
+ * Non-parametric bootstrap CI for `estimator(arr)` (the mean by default, or e.g. medianOfMeans or
+ * median). `method` is "percentile" or "bca" (bias-corrected and accelerated: the percentiles are
+ * shifted by the bootstrap median bias z0 and the jackknife acceleration a, which keeps the
+ * interval centred on skewed data). For estimators that depend on sample order, `pointEstimate`
+ * (the value z0 is measured against) and `acceleration` override estimator(arr) and the
+ * jackknife estimate of a. Returns [low, high] at the given two-sided `confidence`.
+ */
+export function bootstrapCI(arr, num_samples = 2000, prngArg = null, { estimator = mean, confidence = 0.95, method = "percentile", pointEstimate = null, acceleration = null } = {}) {
+  const n = Array.isArray(arr) ? arr.length : 0;
+  if (n <= 1) return [estimator(arr ?? []) || 0, estimator(arr ?? []) || 0];
   let rnd;
   if (typeof prngArg === 'function') {
     rnd = prngArg;
@@ -108,31 +137,520 @@ export function bootstrapCI(arr, num_samples = 2000, prngArg = null) {
     const { prng } = createCryptoSeededPRNG();
     rnd = prng;
   }
-  const means = [];
+  const estimates = [];
+  const resample = new Array(n);
 
   for (let s = 0; s < num_samples; s++) {
-    let acc = 0;
-    let used = 0;
     for (let i = 0; i < n; i++) {
       // Clamp PRNG value to [0,1) to avoid idx === n when rnd returns 1
       const u = Math.min(0.999999999, Math.max(0, rnd()));
       const idx = Math.floor(u * n);
       // Validate index before dynamic access per Security Constitution
-      if (Number.isInteger(idx) && idx >= 0 && idx < n) {
-        acc += arr.at(idx) ?? 0;
-        used++;
-      }
+      resample.splice(i, 1, Number.isInteger(idx) && idx >= 0 && idx < n ? (arr.at(idx) ?? 0) : 0);
     }
-    means.push(acc / Math.max(1, used));
+    estimates.push(estimator(resample));
   }
 
-  means.sort((a, b) => a - b);
+  estimates.sort((a, b) => a - b);
+
+  const alpha = (1 - confidenceLevel(confidence)) / 2;
+  let pLo = alpha;
+  let pHi = 1 - alpha;
+  if (method === "bca") {
+    const theta = Number.isFinite(pointEstimate) ? pointEstimate : estimator(arr);
+    // Bias correction: share of bootstrap estimates below the point estimate (ties count half)
+    let below = 0;
+    for (const e of estimates) below += e < theta ? 1 : e === theta ? 0.5 : 0;
+    const share = Math.min(1 - 1 / (num_samples + 1), Math.max(1 / (num_samples + 1), below / num_samples));
+    const z0 = normalQuantile(share);
+    const a = Number.isFinite(acceleration) ? acceleration : jackknifeAcceleration(arr, estimator);
+    const adjust = (p) => {
+      const z = z0 + normalQuantile(p);
+      return normalCdf(z0 + z / (1 - a * z));
+    };
+    pLo = adjust(alpha);
+    pHi = adjust(1 - alpha);
+    if (!(pLo >= 0 && pHi <= 1 && pLo < pHi)) {
+      pLo = alpha;
+      pHi = 1 - alpha;
+    }
+  }
 
   // Corrected percentile indexing to prevent off-by-one errors.
-  const loIdx = Math.max(0, Math.floor((num_samples - 1) * 0.025));
-  const hiIdx = Math.min(num_samples - 1, Math.ceil((num_samples - 1) * 0.975));
+  const loIdx = Math.max(0, Math.floor((num_samples - 1) * pLo));
+  const hiIdx = Math.min(num_samples - 1, Math.ceil((num_samples - 1) * pHi));
+
+  const lo = estimates.at(loIdx);
+  const hi = estimates.at(hiIdx);
+  return [lo ?? estimates[0], hi ?? estimates[estimates.length - 1]];
+}
+
+/**
+ * Fixed-memory log-linear latency histogram (HDR-style). Values are bucketed per power of two
+ * above `lowestMs`, each octave split into `subBuckets` linear buckets, so the relative error of
+ * any reported percentile is at most 1 / subBuckets regardless of how many values are recorded.
+ * Values below `lowestMs` share the first bucket; values above `highestMs` share the last one.
+ * The exact minimum, maximum and count are tracked alongside the buckets.
+ */
+export function createLatencyHistogram({ lowestMs = 1e-4, highestMs = 60000, subBuckets = 64 } = {}) {
+  const lowest = Math.max(Number.MIN_VALUE, lowestMs);
+  const octaves = Math.max(1, Math.ceil(Math.log2(Math.max(highestMs, lowest * 2) / lowest)));
+  const sub = Math.max(1, subBuckets | 0);
+  const counts = new Uint32Array(octaves * sub);
+  let count = 0;
+  let minMs = Number.POSITIVE_INFINITY;
+  let maxMs = 0;
+
+  const indexOf = (v) => {
+    if (!(v >= lowest)) return 0;
+    const octave = Math.floor(Math.log2(v / lowest));
+    if (octave >= octaves) return counts.length - 1;
+    const base = lowest * 2 ** octave;
+    const s = Math.min(sub - 1, Math.floor((v / base - 1) * sub));
+    return octave * sub + s;
+  };
+  // Highest value that maps to the bucket (HDR's "highest equivalent value")
+  const upperBoundOf = (idx) => {
+    const octave = Math.floor(idx / sub);
+    const s = idx - octave * sub;
+    return lowest * 2 ** octave * (1 + (s + 1) / sub);
+  };
+
+  return {
+    record(valueMs) {
+      const v = Number(valueMs);
+      if (!Number.isFinite(v) || v < 0) return;
+      const idx = indexOf(v);
+      // eslint-disable-next-line security/detect-object-injection -- idx is bounded to [0, counts.length)
+      counts[idx] += 1;
+      count += 1;
+      if (v < minMs) minMs = v;
+      if (v > maxMs) maxMs = v;
+    },
+    // Add another histogram created with the same options (e.g. separately recorded rounds)
+    merge(other) {
+      const snap = other?.snapshot?.();
+      if (!snap || snap.counts.length !== counts.length || snap.count === 0) return;
+      for (let idx = 0; idx < counts.length; idx++) {
+        // eslint-disable-next-line security/detect-object-injection -- idx is bounded to [0, counts.length)
+        counts[idx] += snap.counts.at(idx);
+      }
+      count += snap.count;
+      if (snap.minMs < minMs) minMs = snap.minMs;
+      if (snap.maxMs > maxMs) maxMs = snap.maxMs;
+    },
+    snapshot() {
+      return { counts: counts.slice(), count, minMs, maxMs };
+    },
+    get count() { return count; },
+    get minMs() { return count > 0 ? minMs : 0; },
+    get maxMs() { return maxMs; },
+    // Value at percentile p in [0, 100], clamped to the exact observed range
+    percentile(p) {
+      if (count === 0) return 0;
+      const target = Math.max(1, Math.ceil((Math.min(100, Math.max(0, p)) / 100) * count));
+      let seen = 0;
+      for (let idx = 0; idx < counts.length; idx++) {
+        seen += counts.at(idx);
+        if (seen >= target) return Math.min(maxMs, Math.max(minMs, upperBoundOf(idx)));
+      }
+      return maxMs;
+    },
+  };
+}
+
+// Standard normal CDF via the Abramowitz–Stegun 7.1.26 erf approximation (|error| < 1.5e-7).
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9).
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) return p === 0 ? -Infinity : p === 1 ? Infinity : NaN;
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const poly = (coef, x) => coef.reduce((acc, k) => acc * x + k, 0);
+  const tail = (q) => poly(c, q) / (poly(d, q) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (poly(a, r) * q) / (poly(b, r) * r + 1);
+}
+
+// Sen's slope: median of all pairwise slopes (x[j] - x[i]) / (j - i). Units per sample index.
+export function senSlope(series) {
+  const n = Array.isArray(series) ? series.length : 0;
+  if (n < 2) return 0;
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) slopes.push(((series.at(j) ?? 0) - (series.at(i) ?? 0)) / (j - i));
+  }
+  return median(slopes);
+}
+
+/**
+ * Mann-Kendall monotonic trend test (normal approximation with tie correction and continuity
+ * correction). Below `minSamples` the approximation is unreliable and no trend is reported.
+ * Returns { n, s, z, pValue, significant, direction, slope } where `slope` is Sen's slope.
+ */
+export function mannKendall(series, { alpha = 0.05, minSamples = 8 } = {}) {
+  const n = Array.isArray(series) ? series.length : 0;
+  const none = { n, s: 0, z: 0, pValue: 1, significant: false, direction: "none", slope: senSlope(series) };
+  if (n < Math.max(3, minSamples)) return none;
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    const xi = series.at(i);
+    for (let j = i + 1; j < n; j++) s += Math.sign(series.at(j) - xi);
+  }
+  // Tie groups reduce the variance of S
+  const ties = new Map();
+  for (const x of series) ties.set(x, (ties.get(x) ?? 0) + 1);
+  let tieTerm = 0;
+  for (const t of ties.values()) if (t > 1) tieTerm += t * (t - 1) * (2 * t + 5);
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+  if (!(variance > 0)) return none;
+  const z = s > 0 ? (s - 1) / Math.sqrt(variance) : s < 0 ? (s + 1) / Math.sqrt(variance) : 0;
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+  const significant = pValue < alpha;
+  return { n, s, z, pValue, significant, direction: !significant ? "none" : s > 0 ? "increasing" : "decreasing", slope: none.slope };
+}
+
+/**
+ * Binary segmentation for shifts in the mean. A split is kept when it lowers the squared-error
+ * cost by more than `penalty`, which defaults to the modified-BIC 3·σ²·ln(n) with σ estimated
+ * robustly from first differences (so a level shift does not inflate it). Returns sorted indices
+ * of the first sample of each new segment.
+ */
+export function changePoints(series, { minSegment = 3, maxChangePoints = 5, penalty } = {}) {
+  const n = Array.isArray(series) ? series.length : 0;
+  const minSeg = Math.max(1, minSegment | 0);
+  if (n < 2 * minSeg) return [];
+  // Prefix sums give each segment's cost in O(1)
+  const sum = [0];
+  const sumSq = [0];
+  for (const x of series) {
+    sum.push(sum.at(-1) + x);
+    sumSq.push(sumSq.at(-1) + x * x);
+  }
+  const cost = (a, b) => {
+    const k = b - a;
+    const s = sum.at(b) - sum.at(a);
+    return (sumSq.at(b) - sumSq.at(a)) - (s * s) / k;
+  };
+  let beta = penalty;
+  if (!(typeof beta === "number" && beta >= 0)) {
+    const diffs = [];
+    for (let i = 1; i < n; i++) diffs.push(Math.abs((series.at(i) ?? 0) - (series.at(i - 1) ?? 0)));
+    // MAD of differences → σ: divide by 0.6745 for normality and √2 for differencing.
+    // Timer-quantized series can have a zero median difference; fall back to the plain SD then.
+    const sigma = median(diffs) / (0.6745 * Math.SQRT2) || stddev(series);
+    beta = 3 * sigma * sigma * Math.log(n);
+  }
+  const found = [];
+  const segments = [[0, n]];
+  while (segments.length > 0 && found.length < Math.max(0, maxChangePoints | 0)) {
+    const [a, b] = segments.pop();
+    if (b - a < 2 * minSeg) continue;
+    const whole = cost(a, b);
+    let best = -1;
+    let bestGain = 0;
+    for (let t = a + minSeg; t <= b - minSeg; t++) {
+      const gain = whole - cost(a, t) - cost(t, b);
+      if (gain > bestGain) { bestGain = gain; best = t; }
+    }
+    if (best < 0 || bestGain <= beta) continue;
+    found.push(best);
+    segments.push([a, best], [best, b]);
+  }
+  return found.sort((x, y) => x - y);
+}
+
+/**
+ * Two-sided Mann-Whitney U test of `a` against `b` (normal approximation with tie and continuity
+ * corrections, midranks for ties). Returns { u, z, pValue }, where `u` counts pairs with b > a
+ * (ties as half), so z > 0 means `b` tends to be larger.
+ */
+export function mannWhitneyU(a, b) {
+  const n1 = Array.isArray(a) ? a.length : 0;
+  const n2 = Array.isArray(b) ? b.length : 0;
+  if (n1 === 0 || n2 === 0) return { u: 0, z: 0, pValue: 1 };
+  const pooled = [...a.map((x) => ({ x, fromB: false })), ...b.map((x) => ({ x, fromB: true }))].sort((p, q) => p.x - q.x);
+  const n = n1 + n2;
+  let rankSumB = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && pooled.at(j + 1).x === pooled.at(i).x) j++;
+    const midrank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (pooled.at(k).fromB) rankSumB += midrank;
+    const t = j - i + 1;
+    if (t > 1) tieTerm += t * t * t - t;
+    i = j + 1;
+  }
+  const u = rankSumB - (n2 * (n2 + 1)) / 2;
+  const centered = u - (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+  if (!(variance > 0)) return { u, z: 0, pValue: 1 };
+  const z = (centered - 0.5 * Math.sign(centered)) / Math.sqrt(variance);
+  return { u, z, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+}
+
+// Hodges-Lehmann shift estimate: median of all pairwise differences b[j] - a[i].
+export function hodgesLehmann(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || b.length === 0) return 0;
+  const diffs = [];
+  for (const x of a) for (const y of b) diffs.push(y - x);
+  return median(diffs);
+}
+
+// Holm step-down adjusted p-values (family-wise error control), in the input order.
+export function holmAdjust(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => ({ p: Number.isFinite(p) ? p : 1, i })).sort((x, y) => x.p - y.p);
+  const adjusted = new Array(m).fill(1);
+  let running = 0;
+  order.forEach(({ p, i }, rank) => {
+    running = Math.max(running, Math.min(1, (m - rank) * p));
+    adjusted.splice(i, 1, running);
+  });
+  return adjusted;
+}
+
+/**
+ * Percentile bootstrap CI for estimator(b) - estimator(a) at the two-sided `confidence`,
+ * resampling each side independently. Returns [low, high].
+ */
+export function bootstrapDifferenceCI(a, b, { resamples = 2000, estimator = mean, prng = null, confidence = 0.95 } = {}) {
+  const n1 = Array.isArray(a) ? a.length : 0;
+  const n2 = Array.isArray(b) ? b.length : 0;
+  if (n1 === 0 || n2 === 0) return [0, 0];
+  const rnd = typeof prng === "function" ? prng : createCryptoSeededPRNG().prng;
+  const resample = (arr, n) => Array.from({ length: n }, () => arr.at(Math.min(n - 1, Math.floor(Math.max(0, rnd()) * n))));
+  const diffs = [];
+  for (let s = 0; s < resamples; s++) diffs.push(estimator(resample(b, n2)) - estimator(resample(a, n1)));
+  diffs.sort((x, y) => x - y);
+  const alpha = (1 - confidenceLevel(confidence)) / 2;
+  const lo = diffs.at(Math.max(0, Math.floor((resamples - 1) * alpha)));
+  const hi = diffs.at(Math.min(resamples - 1, Math.ceil((resamples - 1) * (1 - alpha))));
+  return [lo ?? 0, hi ?? 0];
+}
+
+// Weighted median: the smallest value whose cumulative weight reaches half the total.
+export function weightedMedian(values, weights) {
+  const pairs = values.map((v, i) => ({ v, w: Math.max(0, weights.at(i) ?? 0) })).filter((p) => Number.isFinite(p.v) && Number.isFinite(p.w) && p.w > 0).sort((a, b) => a.v - b.v);
+  if (pairs.length === 0) return median(values);
+  const half = pairs.reduce((s, p) => s + p.w, 0) / 2;
+  let acc = 0;
+  for (const p of pairs) {
+    acc += p.w;
+    if (acc >= half) return p.v;
+  }
+  return pairs.at(-1).v;
+}
+
+/**
+ * Weighted Theil-Sen line y = intercept + slope·x. The slope is the weighted median of all
+ * pairwise slopes, each weighted by |Δx| / sqrt(σi² + σj²): the inverse of that slope's standard
+ * error, so wide x gaps and precise points count most. The intercept is the median of
+ * y − slope·x weighted by 1/σ. Without `sigmas` all points are equally precise.
+ * Returns { slope, intercept, r2 } (r2: share of the variance of y the line explains).
+ */
+export function theilSenFit(xs, ys, { sigmas = null } = {}) {
+  const n = Math.min(xs.length, ys.length);
+  const sigma = (i) => {
+    const s = sigmas?.at(i);
+    return Number.isFinite(s) && s > 0 ? s : 1;
+  };
+  const slopes = [];
+  const slopeWeights = [];
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const dx = xs.at(j) - xs.at(i);
+      if (dx === 0) continue;
+      slopes.push((ys.at(j) - ys.at(i)) / dx);
+      slopeWeights.push(Math.abs(dx) / Math.sqrt(sigma(i) ** 2 + sigma(j) ** 2));
+    }
+  }
+  if (slopes.length === 0) return { slope: 0, intercept: median(ys.slice(0, n)), r2: 0 };
+  const slope = weightedMedian(slopes, slopeWeights);
+  const offsets = [];
+  const offsetWeights = [];
+  for (let i = 0; i < n; i++) {
+    offsets.push(ys.at(i) - slope * xs.at(i));
+    offsetWeights.push(1 / sigma(i));
+  }
+  const intercept = weightedMedian(offsets, offsetWeights);
+  const yMean = mean(ys.slice(0, n));
+  let ssRes = 0;
+  let ssTot = 0;
+  for (let i = 0; i < n; i++) {
+    ssRes += (ys.at(i) - (intercept + slope * xs.at(i))) ** 2;
+    ssTot += (ys.at(i) - yMean) ** 2;
+  }
+  return { slope, intercept, r2: ssTot > 0 ? 1 - ssRes / ssTot : 0 };
+}
+
+/**
+ * Outlier classification by two rules. Tukey fences: mild beyond 1.5·IQR outside the quartiles,
+ * severe beyond 3·IQR. MAD: modified z-score 0.6745·(x − median) / MAD, mild above 3.5, severe
+ * above 7 (falling back to 1.2533 × mean absolute deviation when the MAD is zero, as on
+ * timer-quantized samples). For each rule returns the low/high mild/severe counts and `classes`,
+ * one of "lowSevere", "lowMild", "highMild", "highSevere" or null per sample.
+ */
+export function classifyOutliers(arr, { tukeyMild = 1.5, tukeySevere = 3, madMild = 3.5, madSevere = 7 } = {}) {
+  const values = Array.isArray(arr) ? arr : [];
+  const tally = (classes) => ({
+    lowMild: classes.filter((c) => c === "lowMild").length,
+    lowSevere: classes.filter((c) => c === "lowSevere").length,
+    highMild: classes.filter((c) => c === "highMild").length,
+    highSevere: classes.filter((c) => c === "highSevere").length,
+    classes,
+  });
+  const classify = (score, mild, severe) => (score > severe ? "Severe" : score > mild ? "Mild" : null);
+  const [q25, q75] = quartiles(values);
+  const iqr = q75 - q25;
+  const tukeyClasses = values.map((x) => {
+    if (!(iqr > 0)) return null;
+    if (x > q75) {
+      const c = classify((x - q75) / iqr, tukeyMild, tukeySevere);
+      return c && `high${c}`;
+    }
+    const c = classify((q25 - x) / iqr, tukeyMild, tukeySevere);
+    return c && `low${c}`;
+  });
+  const med = median(values);
+  const mad = median(values.map((x) => Math.abs(x - med)));
+  const scale = mad > 0 ? mad / 0.6745 : 1.2533 * mean(values.map((x) => Math.abs(x - med)));
+  const madClasses = values.map((x) => {
+    if (!(scale > 0)) return null;
+    const z = (x - med) / scale;
+    const c = classify(Math.abs(z), madMild, madSevere);
+    return c && `${z > 0 ? "high" : "low"}${c}`;
+  });
+  return { tukey: tally(tukeyClasses), mad: tally(madClasses) };
+}
+
+// --- Online (streaming) estimators: constant memory, one value at a time ---
+
+/**
+ * Welford's running mean and variance. `variance` is the population variance, as `stddev`
+ * computes it, so a stream and the same values in an array agree.
+ */
+export function createWelford() {
+  let count = 0;
+  let mu = 0;
+  let m2 = 0;
+  return {
+    push(value) {
+      const x = Number(value);
+      if (!Number.isFinite(x)) return;
+      count += 1;
+      const delta = x - mu;
+      mu += delta / count;
+      m2 += delta * (x - mu);
+    },
+    get count() { return count; },
+    get mean() { return count > 0 ? mu : 0; },
+    get variance() { return count > 0 ? m2 / count : 0; },
+    get stddev() { return count > 0 ? Math.sqrt(m2 / count) : 0; },
+  };
+}
+
+/**
+ * P² quantile estimator (Jain & Chlamtac, 1985): five markers track the minimum, p/2, p,
+ * (1 + p)/2 and the maximum, adjusted by piecewise-parabolic interpolation as values arrive.
+ * Exact (as `quantile`) for the first five values; afterwards an approximation in O(1) memory.
+ */
+export function createP2Quantile(p) {
+  const prob = Math.min(1, Math.max(0, Number(p) || 0));
+  const heights = [];
+  const positions = [0, 1, 2, 3, 4];
+  const desired = [0, 2 * prob, 4 * prob, 2 + 2 * prob, 4];
+  const increments = [0, prob / 2, prob, (1 + prob) / 2, 1];
+  let count = 0;
+
+  const parabolic = (i, d) => {
+    const [qm, q, qp] = [heights.at(i - 1), heights.at(i), heights.at(i + 1)];
+    const [nm, n, np] = [positions.at(i - 1), positions.at(i), positions.at(i + 1)];
+    return q + (d / (np - nm)) * ((n - nm + d) * (qp - q) / (np - n) + (np - n - d) * (q - qm) / (n - nm));
+  };
+  const linear = (i, d) => heights.at(i) + d * (heights.at(i + d) - heights.at(i)) / (positions.at(i + d) - positions.at(i));
+
+  return {
+    push(value) {
+      const x = Number(value);
+      if (!Number.isFinite(x)) return;
+      count += 1;
+      if (count <= 5) {
+        heights.push(x);
+        heights.sort((a, b) => a - b);
+        return;
+      }
+      // Cell k holds x; the extreme markers move out when x falls beyond them
+      let k;
+      if (x < heights.at(0)) {
+        heights.splice(0, 1, x);
+        k = 0;
+      } else if (x >= heights.at(4)) {
+        heights.splice(4, 1, x);
+        k = 3;
+      } else {
+        k = 0;
+        while (k < 3 && x >= heights.at(k + 1)) k += 1;
+      }
+      for (let i = k + 1; i < 5; i++) positions.splice(i, 1, positions.at(i) + 1);
+      for (let i = 0; i < 5; i++) desired.splice(i, 1, desired.at(i) + increments.at(i));
+      // Middle markers drift back toward their desired positions one step at a time
+      for (let i = 1; i <= 3; i++) {
+        const offset = desired.at(i) - positions.at(i);
+        if ((offset >= 1 && positions.at(i + 1) - positions.at(i) > 1) || (offset <= -1 && positions.at(i - 1) - positions.at(i) < -1)) {
+          const d = Math.sign(offset);
+          const candidate = parabolic(i, d);
+          heights.splice(i, 1, heights.at(i - 1) < candidate && candidate < heights.at(i + 1) ? candidate : linear(i, d));
+          positions.splice(i, 1, positions.at(i) + d);
+        }
+      }
+    },
+    get count() { return count; },
+    get value() { return count > 5 ? heights.at(2) : quantile(heights, prob); },
+  };
+}
 
-  const lo = means.at(loIdx);
-  const hi = means.at(hiIdx);
-  return [lo ?? means[0], hi ?? means[means.length - 1]];
+/**
+ * Running Median-of-Means with the round-robin groups of `medianOfMeans` (sample i joins
+ * group i mod k), so the streamed value equals `medianOfMeans` over the same values in order.
+ * Keeps k group sums, plus the first k − 1 values for the small-sample case.
+ */
+export function createRunningMoM(k = 5) {
+  const groups = Math.max(1, k | 0);
+  const sums = Array(groups).fill(0);
+  const counts = Array(groups).fill(0);
+  const first = [];
+  let count = 0;
+  return {
+    push(value) {
+      const x = Number(value);
+      if (!Number.isFinite(x)) return;
+      const g = count % groups;
+      sums.splice(g, 1, sums.at(g) + x);
+      counts.splice(g, 1, counts.at(g) + 1);
+      if (count < groups - 1) first.push(x);
+      count += 1;
+    },
+    get count() { return count; },
+    get value() {
+      if (count === 0) return 0;
+      // Fewer values than groups: one value per group, as medianOfMeans does
+      if (count < groups) return median(first);
+      if (groups === 1) return sums.at(0) / count;
+      return median(sums.map((s, g) => s / counts.at(g)));
+    },
+  };
 }
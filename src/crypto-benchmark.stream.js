@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+// Author Website: https://david-osipov.vision
+// Author ISNI: 0000 0005 1802 960X
+// Author ISNI URL: https://isni.org/isni/000000051802960X
+// Author ORCID: 0009-0005-2713-9242
+// Author VIAF: 139173726847611590332
+// Author Wikidata: Q130604188
+// Version: 4.6.3
+// Main-thread consumer of the worker's SharedArrayBuffer sample ring. The worker publishes one
+// per-op sample per recorded batch; the consumer drains them as the run progresses into online
+// estimators (Welford mean/variance, P² quartiles, running MoM), so live estimates exist mid-run
+// and only the samples of the cell in progress are held.
+//
+// The ring carries every attempt, including ones the worker later discards (a pause, a remediation
+// re-run). The worker posts a `stream-segment` message for each attempt it keeps: the sample range
+// and whether it replaces the cell's samples or extends them (interleaved rounds, reserve top-ups).
+import { createWelford, createP2Quantile, createRunningMoM } from "./crypto-benchmark.stats.js";
+import { cellKey } from "./crypto-benchmark.operations.js";
+
+// Header slots (Int32), the same layout as the worker's
+const CTRL_INTS = 8;
+const H_FLAGS = 1;
+const H_COMMITTED = 3;
+const H_DROPPED = 4;
+const H_CONSUMED = 5;
+// Raised by the worker once the ring carries measurement samples (its overhead probe is done)
+const STREAM_FLAG = 1 << 2;
+
+// The stream and the worker sum each MoM group in the same order; anything beyond rounding is a mismatch
+const CROSS_CHECK_TOLERANCE = 1e-9;
+
+/**
+ * Online summary of a sample stream in constant memory.
+ * @returns {{ push: (valueMs: number) => void, snapshot: () => { samples: number, meanMs: number, stdMs: number, momMs: number, medianMs: number, iqrMs: number } }}
+ */
+function createOnlineSummary() {
+  const moments = createWelford();
+  const mom = createRunningMoM(5);
+  const [q25, q50, q75] = [0.25, 0.5, 0.75].map(createP2Quantile);
+  return {
+    push(valueMs) {
+      moments.push(valueMs);
+      mom.push(valueMs);
+      q25.push(valueMs);
+      q50.push(valueMs);
+      q75.push(valueMs);
+    },
+    snapshot() {
+      return { samples: moments.count, meanMs: moments.mean, stdMs: moments.stddev, momMs: mom.value, medianMs: q50.value, iqrMs: q75.value - q25.value };
+    },
+  };
+}
+
+/**
+ * Attach a consumer to the sample ring. `capacity` is the ring length in samples (a power of two).
+ *
+ * `drain()` reads everything published since the last call and reports the read position back to
+ * the worker, which drops samples rather than overwrite unread ones. `commitSegment(message)`
+ * folds a kept attempt into its cell. `crossCheck(row)` compares a worker result row with the
+ * cell's streamed samples.
+ *
+ * @param {SharedArrayBuffer} sab
+ * @param {number} capacity
+ */
+export function createStreamConsumer(sab, capacity) {
+  const ctrl = new Int32Array(sab, 0, CTRL_INTS);
+  const data = new Float64Array(sab, Int32Array.BYTES_PER_ELEMENT * CTRL_INTS);
+  const mask = capacity - 1;
+  let readIndex = 0;
+  // Samples read but not yet claimed by a segment, starting at ring index `pendingStart`
+  let pending = [];
+  let pendingStart = 0;
+  // Everything since the last kept attempt: the cell in progress
+  let live = createOnlineSummary();
+  const cells = new Map();
+
+  const drain = () => {
+    if ((Atomics.load(ctrl, H_FLAGS) & STREAM_FLAG) === 0) return 0;
+    const committed = Atomics.load(ctrl, H_COMMITTED);
+    const read = committed - readIndex;
+    for (let i = readIndex; i < committed; i++) {
+      // eslint-disable-next-line security/detect-object-injection -- index is bounded by the power-of-two mask
+      const sample = data[i & mask];
+      pending.push(sample);
+      live.push(sample);
+    }
+    readIndex = committed;
+    Atomics.store(ctrl, H_CONSUMED, readIndex);
+    return read;
+  };
+
+  return {
+    drain,
+    // Attach the samples of a kept attempt to its cell; samples before it belong to discarded attempts
+    commitSegment({ key, start, end, mode }) {
+      drain();
+      if (typeof key !== "string" || !Number.isInteger(start) || !Number.isInteger(end)) return;
+      const from = Math.max(0, start - pendingStart);
+      const to = Math.max(from, Math.min(pending.length, end - pendingStart));
+      let summary = cells.get(key);
+      if (!summary || mode !== "append") {
+        summary = createOnlineSummary();
+        cells.set(key, summary);
+      }
+      for (const sample of pending.slice(from, to)) summary.push(sample);
+      pending = pending.slice(to);
+      pendingStart += to;
+      live = createOnlineSummary();
+    },
+    // Estimates for the cell being measured (provisional: the attempt may still be discarded)
+    live: () => live.snapshot(),
+    cell: (key) => cells.get(key)?.snapshot() ?? null,
+    /**
+     * Streamed estimates for a result row's cell, and whether they agree with the row: every
+     * recorded batch streamed (none dropped) and the same MoM.
+     * @returns {{ samples: number, momMs: number, meanMs: number, medianMs: number, momDelta: number|null, complete: boolean, agrees: boolean }|null}
+     */
+    crossCheck(row) {
+      const streamed = row && !row.error ? cells.get(cellKey(row))?.snapshot() : null;
+      if (!streamed) return null;
+      const momDelta = row.momMs > 0 ? streamed.momMs / row.momMs - 1 : null;
+      const complete = streamed.samples === row.batches;
+      return { samples: streamed.samples, momMs: streamed.momMs, meanMs: streamed.meanMs, medianMs: streamed.medianMs, momDelta, complete, agrees: complete && momDelta !== null && Math.abs(momDelta) <= CROSS_CHECK_TOLERANCE };
+    },
+    get consumed() { return readIndex; },
+    get dropped() { return Atomics.load(ctrl, H_DROPPED); },
+  };
+}
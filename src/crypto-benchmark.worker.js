@@ -7,9 +7,10 @@
 // Author VIAF: 139173726847611590332
 // Author Wikidata: Q130604188
 // Version: 4.6.3
-// Web Worker for crypto benchmark: performs WebCrypto digest measurements off the main thread.
-import { mean, median, stddev, coefficientOfVariation, quartiles, medianOfMeans, bootstrapCI } from "./crypto-benchmark.stats.js";
+// Web Worker for crypto benchmark: measures registered WebCrypto operations off the main thread.
+import { mean, median, stddev, coefficientOfVariation, quartiles, medianOfMeans, bootstrapCI, createLatencyHistogram, mannKendall, changePoints, normalQuantile, confidenceLevel, jackknifeAcceleration, theilSenFit, classifyOutliers } from "./crypto-benchmark.stats.js";
 import { createCryptoSeededPRNG, seedFingerprintHex } from "@lib/prng.js";
+import { getOperation, planCells, operationsFromConfig, cellKey } from "./crypto-benchmark.operations.js";
 
 // Create a single worker-scoped PRNG to ensure consistent seeding across all uses in this run
 const _workerPrngObj = createCryptoSeededPRNG();
@@ -22,10 +23,44 @@ const H_FLAGS = 1;
 const H_WR_HEAD = 2;     // reserved write head (monotonic counter)
 const H_COMMITTED = 3;   // published samples (monotonic)
 const H_DROPPED = 4;     // overflow counter
-const H_RUN_ID_LOW = 5;  // reserved for future use
+const H_CONSUMED = 5;    // samples read by the main-thread consumer (monotonic)
 const H_RUN_ID_HIGH = 6; // reserved for future use
 const H_PAD = 7;         // padding to ensure 8*4B = 32B offset for Float64 alignment
 const DONE_FLAG = 1 << 0;
+const CANCEL_FLAG = 1 << 1; // set by the main thread: stop after the current batch
+const STREAM_FLAG = 1 << 2; // set here once the ring carries measurement samples
+
+// Cooperative cancellation for the running measurement: the `cancel` command sets the local flag,
+// and when a SAB is wired the main thread can also raise CANCEL_FLAG without waiting for a task.
+let cancelRequested = false;
+let cancelCtrl = null;
+function isCancelled() {
+  if (cancelRequested) return true;
+  try { return cancelCtrl !== null && (Atomics.load(cancelCtrl, H_FLAGS) & CANCEL_FLAG) !== 0; } catch { return false; }
+}
+
+// Pause/resume (page hidden/visible): measurement stops at a batch boundary while paused.
+// `pauseCount` lets a cell detect a pause that began and ended inside one of its batches.
+let paused = false;
+let pauseCount = 0;
+// Time spent waiting out pauses (settling included) in the current run: the deadline excludes it
+let pausedMs = 0;
+// Poll interval while paused; the resume message is handled between polls
+const PAUSE_POLL_MS = 100;
+
+async function waitForResume(settleMs) {
+  const start = self.performance.now();
+  while (paused && !isCancelled()) await sleep(PAUSE_POLL_MS);
+  // Let the page, GPU and clocks settle after becoming visible again
+  if (!isCancelled() && settleMs > 0) await sleep(settleMs);
+  pausedMs += self.performance.now() - start;
+}
+
+// Start barrier layout (Int32 slots) shared by the workers of a parallel run
+const B_ARRIVED = 0;     // workers waiting at the current generation
+const B_GENERATION = 1;  // bumped by the last arriver to release everyone
+const B_ABORT = 2;       // set when a peer gave up; releases and fails all waiters
+const BARRIER_TIMEOUT_MS = 30000;
 
 // Debug helper: guarded postMessage for logs
 function wlog(type, payload) {
@@ -35,30 +70,347 @@ function wlog(type, payload) {
 // Signal readiness so the main thread can detect startup issues
 try { wlog("ready", {}); } catch {}
 
+// Fisher–Yates shuffle driven by the worker's seeded PRNG; returns a new array
+function shuffled(items) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.min(i, Math.floor(workerPrng() * (i + 1)));
+    const a = out.at(i);
+    out.splice(i, 1, out.at(j));
+    out.splice(j, 1, a);
+  }
+  return out;
+}
+
 // Simple sleep utility for cooldowns
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-function createRandomDataPool(size, poolSize) {
+// Above this many bytes for a full pool, slots become overlapping windows into one shared buffer
+const SHARED_POOL_THRESHOLD_BYTES = 32 * 1024 * 1024;
+// Offset between shared windows: distinct inputs per slot for a few KB of extra memory
+const SHARED_POOL_STRIDE_BYTES = 4096;
+
+// Bytes a pool of `poolSize` inputs of `size` bytes will allocate
+function poolFootprintBytes(size, poolSize) {
+  const slots = Math.max(1, poolSize | 0);
+  if (size * slots <= SHARED_POOL_THRESHOLD_BYTES) return size * slots;
+  return size + (slots - 1) * SHARED_POOL_STRIDE_BYTES;
+}
+
+function fillRandom(buf) {
   const prng = workerPrng;
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let j = 0;
+  // Fill in 4-byte chunks when possible
+  for (; j + 4 <= buf.length; j += 4) {
+    const v32 = ((prng() * 4294967296) >>> 0);
+    dv.setUint32(j, v32, true);
+  }
+  // Remaining tail bytes
+  for (; j < buf.length; j++) {
+    dv.setUint8(j, ((prng() * 256) | 0) & 0xFF);
+  }
+}
+
+// Input pools are reused within a run: by a cell's remediation attempts, rounds and top-ups, and
+// by other cells of the same size (filling a large pool costs more than the rest of the setup).
+// A pool's shaped copies are cached with it and count towards its bytes. Least recently used
+// pools are released before a new pool or copy would push the retained bytes past
+// POOL_CACHE_MAX_BYTES; the newest pool is always kept.
+const POOL_CACHE_MAX_BYTES = SHARED_POOL_THRESHOLD_BYTES;
+const inputPools = new Map();
+
+// Release least recently used pools, other than `keepKey`, until `bytes` more would fit
+function releasePoolsFor(bytes, keepKey) {
+  let retained = 0;
+  for (const entry of inputPools.values()) retained += entry.bytes;
+  for (const [oldKey, entry] of inputPools) {
+    if (retained + bytes <= POOL_CACHE_MAX_BYTES) break;
+    if (oldKey === keepKey) continue;
+    inputPools.delete(oldKey);
+    retained -= entry.bytes;
+  }
+}
+
+function reusableDataPool(size, poolSize, shape = null) {
+  const slots = Math.max(1, poolSize | 0);
+  const key = `${size}:${slots}`;
+  let entry = inputPools.get(key);
+  if (entry) {
+    // Re-inserted as the most recently used
+    inputPools.delete(key);
+    inputPools.set(key, entry);
+  } else {
+    const bytes = poolFootprintBytes(size, slots);
+    releasePoolsFor(bytes, key);
+    entry = { pool: createRandomDataPool(size, slots), bytes, shaped: new Map() };
+    inputPools.set(key, entry);
+  }
+  if (!shape) return entry.pool;
+  let shaped = entry.shaped.get(shape);
+  if (!shaped) {
+    const copyBytes = shapeCopyBytes(shape, size, slots);
+    releasePoolsFor(copyBytes, key);
+    shaped = shapeInputs(entry.pool, shape);
+    entry.shaped.set(shape, shaped);
+    entry.bytes += copyBytes;
+  }
+  return shaped;
+}
+
+function createRandomDataPool(size, poolSize) {
+  const slots = Math.max(1, poolSize | 0);
+  if (size * slots > SHARED_POOL_THRESHOLD_BYTES) {
+    // Large payloads: one backing buffer, each slot a window shifted by a small stride
+    const backing = new Uint8Array(poolFootprintBytes(size, slots));
+    fillRandom(backing);
+    const windows = [];
+    for (let i = 0; i < slots; i++) {
+      windows.push(backing.subarray(i * SHARED_POOL_STRIDE_BYTES, i * SHARED_POOL_STRIDE_BYTES + size));
+    }
+    return windows;
+  }
   const pool = [];
-  for (let i = 0; i < poolSize; i++) {
+  for (let i = 0; i < slots; i++) {
     const buf = new Uint8Array(size);
-    const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
-    let j = 0;
-    // Fill in 4-byte chunks when possible
-    for (; j + 4 <= buf.length; j += 4) {
-      const v32 = ((prng() * 4294967296) >>> 0);
-      dv.setUint32(j, v32, true);
-    }
-    // Remaining tail bytes
-    for (; j < buf.length; j++) {
-      dv.setUint8(j, ((prng() * 256) | 0) & 0xFF);
-    }
+    fillRandom(buf);
     pool.push(buf);
   }
   return pool;
 }
 
+// Buffer shapes callers hand to WebCrypto; engines may copy some of them before the work starts.
+// Each `toShape` takes a pool of plain Uint8Arrays and returns the same bytes in that shape;
+// `copyBytes` is what the shaped pool allocates on top of the plain one.
+const INPUT_SHAPES = new Map([
+  ["uint8array", { toShape: (pool) => pool, copyBytes: () => 0 }],
+  // Unaligned subarray view into a larger buffer
+  ["offset-view", {
+    toShape: (pool) => pool.map((buf) => {
+      const backing = new Uint8Array(buf.length + OFFSET_VIEW_BYTES);
+      backing.set(buf, OFFSET_VIEW_BYTES);
+      return backing.subarray(OFFSET_VIEW_BYTES);
+    }),
+    copyBytes: (size, slots) => slots * (size + OFFSET_VIEW_BYTES),
+  }],
+  ["dataview", { toShape: (pool) => pool.map((buf) => new DataView(buf.buffer, buf.byteOffset, buf.byteLength)), copyBytes: () => 0 }],
+  // Whole-buffer slots are handed over as is; windows into a shared large pool are copied out
+  ["arraybuffer", {
+    toShape: (pool) => pool.map((buf) => (buf.byteOffset === 0 && buf.byteLength === buf.buffer.byteLength ? buf.buffer : buf.slice().buffer)),
+    copyBytes: (size, slots) => (size * slots > SHARED_POOL_THRESHOLD_BYTES ? size * slots : 0),
+  }],
+  // View over SharedArrayBuffer memory (needs cross-origin isolation; WebCrypto may reject it)
+  ["shared-view", {
+    toShape: (pool) => pool.map((buf) => {
+      const view = new Uint8Array(new SharedArrayBuffer(buf.length));
+      view.set(buf);
+      return view;
+    }),
+    copyBytes: (size, slots) => size * slots,
+  }],
+]);
+// Odd offset so the view is misaligned for word-sized reads
+const OFFSET_VIEW_BYTES = 3;
+
+function shapeInputs(pool, shape) {
+  if (!shape) return pool;
+  const entry = INPUT_SHAPES.get(shape);
+  if (!entry) throw new Error(`Unknown input shape: ${shape}`);
+  return entry.toShape(pool);
+}
+
+// Bytes the shaped copy of a pool of `slots` inputs of `size` bytes adds to the pool
+function shapeCopyBytes(shape, size, slots) {
+  const entry = shape ? INPUT_SHAPES.get(shape) : null;
+  return entry ? entry.copyBytes(size, slots) : 0;
+}
+
+// Whether the engine accepts a shape at all (e.g. SAB-backed views are refused by WebIDL)
+async function inputShapeSupported(shape) {
+  try {
+    const [input] = shapeInputs([new Uint8Array(1)], shape);
+    await self.crypto.subtle.digest("SHA-256", input);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function randomBytes(n) {
+  const out = new Uint8Array(n);
+  self.crypto.getRandomValues(out);
+  return out;
+}
+
+/**
+ * Prepare everything a cell needs outside the timed region via its registered operation
+ * descriptor and return an `invoke(i)` that issues exactly one WebCrypto call for iteration i.
+ */
+async function createOperationContext({ op, algo, size, unit = "bytes", variant = null, shape = null, options = {} }, poolSize) {
+  const subtle = self.crypto?.subtle;
+  if (!subtle) throw new Error("WebCrypto subtle unavailable");
+  const descriptor = getOperation(op);
+  if (!descriptor) throw new Error(`Unknown operation: ${op}`);
+  const createPool = (n, count) => reusableDataPool(n, count, shape);
+  return descriptor.setup({ subtle, algo, size, unit, variant, slots: Math.max(1, poolSize | 0), options, createPool, randomBytes });
+}
+
+// Bytes a cell's setup keeps alive: the descriptor's own estimate (e.g. ciphertext copies), else
+// its input pool; a shaped cell's pool includes its shaped copies
+function cellFootprintBytes({ op, size, unit = "bytes", shape = null }, poolSize) {
+  const slots = Math.max(1, poolSize | 0);
+  const poolBytes = unit === "bytes" ? poolFootprintBytes(size, slots) + shapeCopyBytes(shape, size, slots) : 0;
+  const descriptor = getOperation(op);
+  return typeof descriptor?.footprintBytes === "function" ? descriptor.footprintBytes({ size, unit, slots, poolBytes }) : poolBytes;
+}
+
+function cellLabel({ algo, operation, variant, shape = null, concurrency = 1 }) {
+  const base = operation && operation !== "digest" ? `${algo} ${operation}` : algo;
+  const withVariant = variant ? `${base} (${variant})` : base;
+  const withShape = shape ? `${withVariant} [${shape}]` : withVariant;
+  return concurrency > 1 ? `${withShape} ×${concurrency}` : withShape;
+}
+
+// Result row for a cell that could not be measured
+function errorRow(cell, error) {
+  return { algo: cell.algo, operation: cell.operation, variant: cell.variant ?? null, inputShape: cell.shape ?? null, sizeBytes: cell.unit === "bytes" ? cell.size : null, inputSize: cell.size, inputUnit: cell.unit, error };
+}
+
+/**
+ * Compare buffer shapes per (algorithm, operation, variant, size, concurrency): each shape's MoM
+ * relative to the plain Uint8Array row (or the first measured shape when that one is missing).
+ */
+function compareInputShapes(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (!r || r.error || !r.inputShape || !(r.momMs > 0)) continue;
+    const key = [r.algo, r.operation, r.variant ?? "", r.inputSize, r.inputUnit, r.concurrency ?? 1].join("\u0000");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  const comparisons = [];
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+    const baseline = group.find((r) => r.inputShape === "uint8array") ?? group.at(0);
+    const first = group.at(0);
+    comparisons.push({
+      algo: first.algo,
+      operation: first.operation,
+      variant: first.variant ?? null,
+      inputSize: first.inputSize,
+      inputUnit: first.inputUnit,
+      concurrency: first.concurrency ?? 1,
+      baselineShape: baseline.inputShape,
+      shapes: group.map((r) => ({ inputShape: r.inputShape, momMs: r.momMs, deltaMs: r.momMs - baseline.momMs, ratio: r.momMs / baseline.momMs })),
+    });
+  }
+  return comparisons;
+}
+
+// A size deviates from the linear model when the fit misses its CI by more than this share
+const SIZE_FIT_TOLERANCE = 0.10;
+
+/**
+ * Size-scaling model per (algorithm, operation, variant, shape, concurrency) over the byte-sized
+ * ladder: momMs = fixed overhead + bytes × per-byte cost, by Theil-Sen weighted with each cell's
+ * CI half-width. Needs at least three sizes.
+ */
+function fitSizeScaling(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (!r || r.error || r.inputUnit !== "bytes" || !(r.momMs > 0)) continue;
+    const key = [r.algo, r.operation, r.variant ?? "", r.inputShape ?? "", r.concurrency ?? 1].join("\u0000");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  const fits = [];
+  for (const group of groups.values()) {
+    const points = group.slice().sort((a, b) => a.inputSize - b.inputSize);
+    if (new Set(points.map((r) => r.inputSize)).size < 3) continue;
+    const halfWidth = (r) => (Array.isArray(r.bootstrapCiMs) ? (r.bootstrapCiMs[1] - r.bootstrapCiMs[0]) / 2 : 0);
+    // A zero-width CI (timer-quantized cell) would take all the weight; floor it at 0.1 % of the value
+    const sigmas = points.map((r) => Math.max(halfWidth(r), r.momMs * 1e-3));
+    const { slope, intercept, r2 } = theilSenFit(points.map((r) => r.inputSize), points.map((r) => r.momMs), { sigmas });
+    const deviations = [];
+    points.forEach((r, i) => {
+      const fittedMs = intercept + slope * r.inputSize;
+      const miss = Math.abs(r.momMs - fittedMs) - sigmas.at(i);
+      if (fittedMs > 0 && miss > SIZE_FIT_TOLERANCE * fittedMs) deviations.push({ inputSize: r.inputSize, momMs: r.momMs, fittedMs, residualRatio: r.momMs / fittedMs - 1 });
+    });
+    const first = points.at(0);
+    fits.push({
+      algo: first.algo,
+      operation: first.operation,
+      variant: first.variant ?? null,
+      inputShape: first.inputShape ?? null,
+      concurrency: first.concurrency ?? 1,
+      sizes: points.map((r) => r.inputSize),
+      overheadUs: intercept * 1000,
+      perByteNs: slope * 1e6,
+      // Steady-state throughput from the per-byte cost (decimal GB/s)
+      throughputGBps: slope > 0 ? 1e-6 / slope : null,
+      r2,
+      deviations,
+    });
+  }
+  return fits;
+}
+
+// Saturation: the lowest level reaching (1 - tolerance) of the best aggregate throughput
+const SATURATION_TOLERANCE = 0.05;
+
+/**
+ * Summarize one cell's concurrency sweep from its per-level result rows.
+ * Speedups are relative to the lowest measured level (normally concurrency 1).
+ */
+function summarizeScaling(levelRows) {
+  const rows = levelRows.filter((r) => r && !r.error && r.opsPerSec > 0).sort((a, b) => a.concurrency - b.concurrency);
+  if (rows.length === 0) return null;
+  const base = rows.at(0).opsPerSec;
+  const best = Math.max(...rows.map((r) => r.opsPerSec));
+  const saturation = rows.find((r) => r.opsPerSec >= best * (1 - SATURATION_TOLERANCE));
+  const first = rows.at(0);
+  return {
+    algo: first.algo,
+    operation: first.operation,
+    variant: first.variant ?? null,
+    inputShape: first.inputShape ?? null,
+    inputSize: first.inputSize,
+    inputUnit: first.inputUnit,
+    levels: rows.map((r) => ({ concurrency: r.concurrency, opsPerSec: r.opsPerSec, latencyMs: r.latencyMs, speedup: base > 0 ? r.opsPerSec / base : 0 })),
+    maxSpeedup: base > 0 ? best / base : 0,
+    saturationConcurrency: saturation?.concurrency ?? first.concurrency,
+  };
+}
+
+/**
+ * Tail-latency summary from a cell's per-operation histogram. Percentiles under the timer
+ * resolution cannot be told apart from it, so they are reported as the resolution (an upper
+ * bound) and listed in `belowResolution` instead of being passed off as exact.
+ */
+function summarizeLatency(histogram, resolutionMs) {
+  const res = Math.max(0, Number(resolutionMs) || 0);
+  const values = [["p50", histogram.percentile(50)], ["p90", histogram.percentile(90)], ["p99", histogram.percentile(99)], ["p999", histogram.percentile(99.9)], ["max", histogram.maxMs]];
+  const bounded = values.map(([, v]) => Math.max(v, res));
+  return {
+    count: histogram.count,
+    p50Ms: bounded.at(0),
+    p90Ms: bounded.at(1),
+    p99Ms: bounded.at(2),
+    p999Ms: bounded.at(3),
+    maxMs: bounded.at(4),
+    resolutionMs: res,
+    belowResolution: values.filter(([, v]) => v < res).map(([name]) => name),
+  };
+}
+
+// Human-readable value on a cell's size axis
+function axisLabel(size, unit = "bytes") {
+  if (unit === "iterations") return `${size} iterations`;
+  if (unit === "bits") return `${size} bits`;
+  return `${Math.round(size / 1024)}KB`;
+}
+
 async function digestOnce(algo, data) {
   const subtle = self.crypto?.subtle;
   const start = self.performance.now();
@@ -67,18 +419,20 @@ async function digestOnce(algo, data) {
   return end - start;
 }
 
-// Estimate the smallest non-zero difference between consecutive performance.now() calls.
-function estimateTimerGranularity() {
+// Timer resolution: the median step between distinct consecutive performance.now() readings.
+// A coarse clock steps only every 0.1-1 ms or more, far longer than a fixed number of reads takes,
+// so the probe runs until it has seen `steps` steps or `maxMs` of wall time. The median, not the
+// minimum, because jittered clocks produce occasional short steps.
+function estimateTimerGranularity({ steps = 16, maxMs = 200 } = {}) {
+  const diffs = [];
+  const wallStart = Date.now();
   let last = self.performance.now();
-  let minDiff = Number.POSITIVE_INFINITY;
-  for (let i = 0; i < 1000; i++) {
+  while (diffs.length < steps && Date.now() - wallStart < maxMs) {
     const t = self.performance.now();
-    const d = t - last;
-    if (d > 0 && d < minDiff) minDiff = d;
+    if (t > last) diffs.push(t - last);
     last = t;
   }
-  if (!isFinite(minDiff)) return 0; // fallback when clock resolution is effectively continuous in loop
-  return minDiff;
+  return diffs.length > 0 ? median(diffs) : 0; // 0 when no step was seen (continuous or frozen clock)
 }
 
 /**
@@ -126,21 +480,137 @@ function measureSABOverhead(ctrl, data, capMask) {
   }
 }
 
-async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs, poolSize, TARGET_BATCH_MS, CV_STOP_THRESHOLD, MIN_RECORDED_BATCHES, PER_BATCH_SAMPLE_LIMIT, PER_CELL_MAX_BATCHES = 100, sabCtrl, sabData, sabMask, sabCapacity, streamSamples, concurrency = 1 }) {
+/**
+ * Measure the per-op cost of the async round trip every timed call pays, independent of the work:
+ * an awaited already-resolved promise, and a zero-length SHA-256 digest (promise plus the hop
+ * into the engine's crypto thread and back). Runs each loop for a minimum elapsed time.
+ */
+async function measureAsyncOverhead() {
+  const targetMinMs = 50;
+  const warmupMs = 100;
+  const round = async (fn) => {
+    let iters = 0;
+    const t0 = self.performance.now();
+    do {
+      await fn(); await fn(); await fn(); await fn(); await fn();
+      iters += 5;
+    } while ((self.performance.now() - t0) < targetMinMs);
+    const t1 = self.performance.now();
+    return (t1 - t0) / Math.max(1, iters);
+  };
+  const probe = async (fn) => {
+    // Time-based warmup: a cold dispatch path reads well above its steady state
+    const warmEnd = self.performance.now() + warmupMs;
+    while (self.performance.now() < warmEnd) await fn();
+    return median([await round(fn), await round(fn), await round(fn)]);
+  };
+  let promiseMs = 0;
+  let emptyDigestMs = 0;
+  try { promiseMs = await probe(() => Promise.resolve()); } catch {}
+  try {
+    const subtle = self.crypto?.subtle;
+    const empty = new Uint8Array(0);
+    if (subtle) emptyDigestMs = await probe(() => subtle.digest("SHA-256", empty));
+  } catch {}
+  return { promiseMs, emptyDigestMs };
+}
+
+// Thermal reference: SHA-256 over one fixed 16 KiB input, timed as the median of short rounds.
+// Re-run between cells, its slowdown against the start-of-run value exposes clock throttling.
+const THERMAL_REFERENCE_BYTES = 16 * 1024;
+const THERMAL_REFERENCE_ROUNDS = 5;
+let thermalReferenceInput = null;
+
+async function measureThermalReference(durationMs) {
   const subtle = self.crypto?.subtle;
-  if (!subtle?.digest) throw new Error("WebCrypto subtle.digest unavailable");
+  if (!subtle) return 0;
+  thermalReferenceInput ??= randomBytes(THERMAL_REFERENCE_BYTES);
+  const roundMs = Math.max(2, durationMs / THERMAL_REFERENCE_ROUNDS);
+  const rounds = [];
+  for (let r = 0; r < THERMAL_REFERENCE_ROUNDS; r++) {
+    let iters = 0;
+    const t0 = self.performance.now();
+    let t1 = t0;
+    do {
+      await subtle.digest("SHA-256", thermalReferenceInput);
+      iters += 1;
+      t1 = self.performance.now();
+    } while (t1 - t0 < roundMs);
+    rounds.push((t1 - t0) / iters);
+  }
+  return median(rounds);
+}
+
+// Precision-target stopping: the relative CI half-width of the per-op mean (at CI_CONFIDENCE) is
+// checked at batch counts growing by PRECISION_LOOK_GROWTH from the minimum. The looks are counted
+// up front, so a Bonferroni-corrected z keeps the chance of stopping on a lucky look at 1 − CI_CONFIDENCE overall.
+const PRECISION_LOOK_GROWTH = 1.5;
+
+function precisionRule({ PRECISION_TARGET = null, PRECISION_MIN_BATCHES = 10, PRECISION_MAX_BATCHES = 128, MIN_RECORDED_BATCHES = 0, PER_CELL_MAX_BATCHES = 100, CI_CONFIDENCE = 0.95 }) {
+  const target = Number(PRECISION_TARGET);
+  if (!(target > 0)) return null;
+  const maxCap = Math.min(Math.max(1, Math.trunc(Number(PER_CELL_MAX_BATCHES)) || 100), 1000);
+  const minBatches = Math.min(maxCap, Math.max(2, MIN_RECORDED_BATCHES | 0, PRECISION_MIN_BATCHES | 0));
+  const maxBatches = Math.min(maxCap, Math.max(minBatches, PRECISION_MAX_BATCHES | 0));
+  const looks = new Set();
+  for (let n = minBatches; n <= maxBatches; n = Math.max(n + 1, Math.ceil(n * PRECISION_LOOK_GROWTH))) looks.add(n);
+  return { target, minBatches, maxBatches, looks, z: normalQuantile(1 - (1 - confidenceLevel(CI_CONFIDENCE)) / (2 * looks.size)) };
+}
+
+// CI half-width of the mean relative to the mean (normal approximation), widened by the
+// quantization bound of the samples
+function relativeHalfWidth(samples, z, quantizationMs = 0) {
+  if (samples.length < 2) return Infinity;
+  const mu = mean(samples);
+  return mu > 0 ? ((z * stddev(samples, mu)) / Math.sqrt(samples.length) + quantizationMs) / mu : Infinity;
+}
 
-  // Warmup with rotating inputs
-  const pool = createRandomDataPool(size, Math.max(1, poolSize | 0));
+// Shortest batch the timer resolves to about 1 / minTicks: MIN_BATCH_TICKS clock ticks
+function minBatchMs(timerGranularityMs, minTicks) {
+  return Math.max(0, Number(minTicks) || 0) * Math.max(0, Number(timerGranularityMs) || 0);
+}
+
+/**
+ * Timer quantization of per-op samples. A batch's duration is the difference of two quantized
+ * reads, so it is off by less than one tick and each sample by less than tick / iterations.
+ * `boundMs` is the worst case for an average of the samples (every error with the same sign);
+ * `sdMs` is the spread quantization alone adds to a sample (a tick / √6 standard deviation for
+ * two reads at independent phases).
+ */
+function quantizationError(perBatchIters, timerGranularityMs) {
+  const tick = Math.max(0, Number(timerGranularityMs) || 0);
+  if (!(tick > 0) || perBatchIters.length === 0) return { boundMs: 0, sdMs: 0 };
+  const boundMs = mean(perBatchIters.map((n) => tick / Math.max(1, n)));
+  return { boundMs, sdMs: boundMs / Math.sqrt(6) };
+}
+
+/**
+ * Warm up, size and record one cell's batches. Returns the raw recorded samples (summarized by
+ * `summarizeCell`, possibly after merging several rounds), or null when cancelled or paused.
+ * Interleaved rounds pass the cell's `prepared` state: the first visit stores the operation
+ * context and batch size in it, later visits reuse both after a short re-warm. Either way the
+ * visit's setup is taken out of `targetMinMs`, and `elapsedMs` reports setup plus recording.
+ */
+async function sampleCell({ cell, calibrationTimeMs = 0, WARMUP_MAX_MS = 1000, warmupIters, measureIters, targetMinMs, poolSize, TARGET_BATCH_MS, CV_STOP_THRESHOLD, MIN_RECORDED_BATCHES, PER_CELL_MAX_BATCHES = 100, PRECISION_TARGET = null, PRECISION_MIN_BATCHES, PRECISION_MAX_BATCHES, sabCtrl, sabData, sabMask, sabCapacity, streamSamples, streamConsumed = false, streamSegment = "replace", concurrency = 1, recordLatency = false, timerGranularityMs = 0, MIN_BATCH_TICKS = 100, CI_CONFIDENCE = 0.95, prepared = null }) {
+  // Any pause since the cell started invalidates it (the caller measures it again after resuming)
+  const pausesAtStart = pauseCount;
+  const interrupted = () => isCancelled() || paused || pauseCount !== pausesAtStart;
+  const setupStart = self.performance.now();
+  const reuse = Boolean(prepared?.op);
+  // Warmup with rotating inputs (setup happens before any timing)
+  const op = reuse ? prepared.op : await createOperationContext(cell, poolSize);
   // Adaptive warmup: stop early if moving average stabilizes <1% over last 3 checks
-  {
+  if (!reuse) {
     const maxWarm = Math.max(0, warmupIters | 0);
     let lastAvg = Number.POSITIVE_INFINITY;
     const window = [];
     const windowSize = 5;
+    // Time cap keeps slow operations (e.g. high-iteration PBKDF2) from stalling warmup
+    const warmStart = self.performance.now();
+    const warmMaxMs = Math.max(10, Number(WARMUP_MAX_MS) || 0);
     for (let i = 0; i < maxWarm; i++) {
       const t0 = self.performance.now();
-  await subtle.digest(algo, pool.at(i % pool.length));
+      await op.invoke(i);
       const t1 = self.performance.now();
       window.push(t1 - t0);
       if (window.length > windowSize) window.shift();
@@ -151,18 +621,21 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
         if (delta < 0.01) break; // stabilized
       }
       lastAvg = avg;
+      if (t1 - warmStart > warmMaxMs || interrupted()) break;
     }
   }
 
   // Adaptive batch sizing: target a minimum duration per batch for stability
-  const targetBatchMs = Math.max(10, TARGET_BATCH_MS || 125); // >=10ms
+  // >=10ms, and long enough for the clock: a coarse timer raises the floor
+  const targetBatchMs = Math.max(10, TARGET_BATCH_MS || 125, minBatchMs(timerGranularityMs, MIN_BATCH_TICKS));
   const MAX_TOTAL_ITERS = 100000; // safety cap for very fast ops
   // Align batches cap with caller-provided limit while keeping an absolute ceiling
   const maxBatchesReq = Number(PER_CELL_MAX_BATCHES);
   const MAX_BATCHES = Math.min(Math.max(1, Number.isFinite(maxBatchesReq) ? Math.trunc(maxBatchesReq) : 100), 1000);
 
-  const minMs = Math.max(0, targetMinMs || 0);
-  const baseIters = Math.max(1, measureIters | 0);
+  // First micro-batches: never plan more than one target batch of work from the calibration estimate
+  const calibIterCap = calibrationTimeMs > 0 && Number.isFinite(calibrationTimeMs) ? Math.floor(targetBatchMs / calibrationTimeMs) : Number.POSITIVE_INFINITY;
+  const baseIters = Math.max(1, Math.min(measureIters | 0, calibIterCap));
 
   let perBatchTimesMs = [];
   // CRITICAL BUG FIX: track iterations used per batch precisely
@@ -171,51 +644,89 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
   let batches = 0;
   let totalElapsedMs = 0;
 
+  // Mean dispatch-to-settle latency of the ops in the last concurrent batch
+  let lastBatchLatencyMs = 0;
+  const perBatchLatencyMs = [];
+  // Latency mode: individual operation durations of the recorded batches (fixed memory)
+  const histogram = recordLatency ? createLatencyHistogram() : null;
+  let recording = false;
+
   // Helper to run a batch with N iterations and return total ms
   async function runBatch(N) {
     const start = self.performance.now();
-    if (concurrency <= 1) {
+    if (concurrency <= 1 && recording) {
+      for (let i = 0; i < N; i++) {
+        const t0 = self.performance.now();
+        await op.invoke(totalIters + i);
+        histogram.record(self.performance.now() - t0);
+      }
+    } else if (concurrency <= 1) {
       for (let i = 0; i < N; i++) {
-        await subtle.digest(algo, pool.at((totalIters + i) % pool.length));
+        await op.invoke(totalIters + i);
       }
     } else {
       let i = 0;
+      let latencySumMs = 0;
       while (i < N) {
         const k = Math.min(concurrency, N - i);
         const promises = [];
         for (let j = 0; j < k; j++) {
-          promises.push(subtle.digest(algo, pool.at((totalIters + i + j) % pool.length)));
+          const dispatched = self.performance.now();
+          promises.push(op.invoke(totalIters + i + j).then(() => {
+            const latency = self.performance.now() - dispatched;
+            latencySumMs += latency;
+            if (recording) histogram.record(latency);
+          }));
         }
         await Promise.all(promises);
         i += k;
       }
+      lastBatchLatencyMs = latencySumMs / Math.max(1, N);
     }
     const end = self.performance.now();
     return end - start;
   }
 
-  // --- Robust, Multi-Sample Calibration ---
-  const NUM_CALIB_RUNS = 3; // Use a constant for clarity
-  const calibSamplesMs = [];
-  for (let i = 0; i < NUM_CALIB_RUNS; i++) {
-      const t = await runBatch(baseIters);
-      calibSamplesMs.push(t / baseIters); // Store per-iteration time
-  }
+  let adaptiveIters;
+  if (reuse) {
+    // Re-warm: one unrecorded quarter batch brings caches and the JIT back to this cell
+    adaptiveIters = prepared.adaptiveIters;
+    await runBatch(Math.max(1, Math.round(adaptiveIters / 4)));
+  } else {
+    // --- Robust, Multi-Sample Calibration ---
+    const NUM_CALIB_RUNS = 3; // Use a constant for clarity
+    const calibSamplesMs = [];
+    for (let i = 0; i < NUM_CALIB_RUNS; i++) {
+        const t = await runBatch(baseIters);
+        calibSamplesMs.push(t / baseIters); // Store per-iteration time
+    }
 
-  // Use the median of the calibration samples to resist outliers.
-  const approxPerIter = median(calibSamplesMs);
+    // Use the median of the calibration samples to resist outliers.
+    const approxPerIter = median(calibSamplesMs);
 
-  // Estimate iterations needed to hit target batch time, clamp to a sensible range.
-  let adaptiveIters = Math.max(1, Math.round((Math.max(10, TARGET_BATCH_MS || 125)) / Math.max(1e-6, approxPerIter)));
-  adaptiveIters = Math.min(adaptiveIters, Math.ceil(MAX_TOTAL_ITERS / 10)); // Safety bound
+    // Estimate iterations needed to hit target batch time, clamp to a sensible range.
+    adaptiveIters = Math.max(1, Math.round(targetBatchMs / Math.max(1e-6, approxPerIter)));
+    adaptiveIters = Math.min(adaptiveIters, Math.ceil(MAX_TOTAL_ITERS / 10)); // Safety bound
 
-  // NOTE: These calibration runs are intentionally NOT added to the final results.
+    // NOTE: These calibration runs are intentionally NOT added to the final results.
+    // A calibration overlapped by a pause is not kept for later rounds
+    if (prepared && !interrupted()) Object.assign(prepared, { op, adaptiveIters });
+  }
+
+  // Rounds pay for their own setup: the recording target is what is left of the visit's share
+  const minMs = Math.max(0, (targetMinMs || 0) - (prepared ? self.performance.now() - setupStart : 0));
 
   // Continue with adaptive batches using the computed adaptiveIters
 
   // Continue running batches until cumulative time exceeds minMs or caps hit, but ensure a minimum recorded batches
-  const minBatches = Math.max(0, MIN_RECORDED_BATCHES | 0);
-  while ((totalElapsedMs < minMs || batches < minBatches) && totalIters < MAX_TOTAL_ITERS && batches < MAX_BATCHES) {
+  // With a precision target its batch bounds replace MIN_RECORDED_BATCHES and the batch cap
+  const precision = precisionRule({ PRECISION_TARGET, PRECISION_MIN_BATCHES, PRECISION_MAX_BATCHES, MIN_RECORDED_BATCHES, PER_CELL_MAX_BATCHES: MAX_BATCHES, CI_CONFIDENCE });
+  const minBatches = precision ? precision.minBatches : Math.max(0, MIN_RECORDED_BATCHES | 0);
+  const maxBatches = precision ? precision.maxBatches : MAX_BATCHES;
+  recording = histogram !== null;
+  const streaming = Boolean(streamSamples && sabCtrl && sabData && sabMask);
+  const streamStart = streaming ? Atomics.load(sabCtrl, H_WR_HEAD) : 0;
+  while ((totalElapsedMs < minMs || batches < minBatches) && totalIters < MAX_TOTAL_ITERS && batches < maxBatches) {
     const usedIters = adaptiveIters; // snapshot before any adjustment
     const t = await runBatch(usedIters);
     totalIters += usedIters;
@@ -223,18 +734,19 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
     totalElapsedMs += t;
     perBatchTimesMs.push(t);
     perBatchIters.push(usedIters);
+    if (concurrency > 1) perBatchLatencyMs.push(lastBatchLatencyMs);
+    // Cancelled or paused: the batch just recorded is the last; the caller drops the unfinished cell
+    if (interrupted()) return null;
 
-    // Stream per-iteration sample into SAB using reserve -> write -> publish protocol
-    if (streamSamples && sabCtrl && sabData && sabMask) {
+    // Stream the per-iteration sample into the SAB ring (single writer: write, then publish)
+    if (streaming) {
       const sample = t / usedIters;
-      // reserve a slot
-      const head = Atomics.add(sabCtrl, H_WR_HEAD, 1);
-      const committed = Atomics.load(sabCtrl, H_COMMITTED);
+      const head = Atomics.load(sabCtrl, H_WR_HEAD);
       // Capacity in slots; prefer explicit sabCapacity, else derive from mask (power-of-two)
       const capacity = Number.isInteger(sabCapacity) && sabCapacity > 0 ? sabCapacity : ((sabMask | 0) + 1);
-      // Use the NEW head (head + 1) for occupancy; drop if writing would exceed capacity
-      const occupancy = (head + 1) - committed;
-      if (occupancy > capacity) {
+      // With a consumer attached, slots it has not read yet are never overwritten: a full ring drops
+      // the sample. Without one nothing advances the read position, so the oldest slots are reused.
+      if (streamConsumed && head - Atomics.load(sabCtrl, H_CONSUMED) >= capacity) {
         Atomics.add(sabCtrl, H_DROPPED, 1);
       } else {
         const slot = head & sabMask;
@@ -244,11 +756,8 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
           // eslint-disable-next-line security/detect-object-injection -- slot is validated and bounded by power-of-two mask
           sabData[slot] = sample;
         }
-        // publish contiguously for single-writer
-        const cur = Atomics.load(sabCtrl, H_COMMITTED);
-        if (cur === head) {
-          Atomics.store(sabCtrl, H_COMMITTED, head + 1);
-        }
+        Atomics.store(sabCtrl, H_WR_HEAD, head + 1);
+        Atomics.store(sabCtrl, H_COMMITTED, head + 1);
       }
     }
 
@@ -261,8 +770,18 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
       adaptiveIters = Math.min(adaptiveIters, Math.ceil(MAX_TOTAL_ITERS / 10));
     }
 
-    // Early stop: if we've passed half the target and CoV is below strict threshold, break
-  if (totalElapsedMs >= (minMs * 0.5)) {
+    // Precision target: stop at a scheduled look once the corrected CI is narrow enough
+    if (precision) {
+      if (precision.looks.has(batches)) {
+        const perIterSoFar = perBatchTimesMs.map((tt, idx) => tt / ((perBatchIters.at(idx)) || baseIters));
+        if (relativeHalfWidth(perIterSoFar, precision.z, quantizationError(perBatchIters, timerGranularityMs).boundMs) <= precision.target) break;
+      }
+      continue;
+    }
+
+    // Early stop: if we've passed half the target and CoV is below strict threshold, break.
+    // Never before the minimum batch count: slow ops can pass half the target on a single batch.
+  if (totalElapsedMs >= (minMs * 0.5) && batches >= minBatches) {
   const perIterSoFar = perBatchTimesMs.map((tt, idx) => tt / ((perBatchIters.at(idx)) || baseIters));
       const muSoFar = mean(perIterSoFar);
       const covSoFar = coefficientOfVariation(perIterSoFar, muSoFar);
@@ -275,7 +794,50 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
   // are more stable, so compute per-iter by dividing each batch by its iteration count.
   // The first calibration batch used baseIters; subsequent batches used adaptiveIters.
   const perIterSamples = perBatchTimesMs.map((t, idx) => t / ((perBatchIters.at(idx)) || baseIters));
+  // The attempt is kept: tell the consumer which streamed samples belong to the cell
+  if (streaming) self.postMessage({ type: "stream-segment", key: cellKey(cell), start: streamStart, end: Atomics.load(sabCtrl, H_WR_HEAD), mode: streamSegment });
+  // The next round starts from the batch size this one settled on
+  if (prepared?.op) prepared.adaptiveIters = adaptiveIters;
+  return { perIterSamples, perBatchTimesMs, perBatchIters, perBatchLatencyMs, histogram, totalIters, batches, elapsedMs: self.performance.now() - setupStart };
+}
+
+// Concatenate rounds of one cell in recording order; histograms are merged bucket by bucket
+function mergeSamples(rounds) {
+  const histograms = rounds.map((r) => r.histogram).filter(Boolean);
+  let histogram = null;
+  if (histograms.length > 0) {
+    histogram = createLatencyHistogram();
+    for (const h of histograms) histogram.merge(h);
+  }
+  return {
+    perIterSamples: rounds.flatMap((r) => r.perIterSamples),
+    perBatchTimesMs: rounds.flatMap((r) => r.perBatchTimesMs),
+    perBatchIters: rounds.flatMap((r) => r.perBatchIters),
+    perBatchLatencyMs: rounds.flatMap((r) => r.perBatchLatencyMs),
+    histogram,
+    totalIters: rounds.reduce((n, r) => n + r.totalIters, 0),
+    batches: rounds.reduce((n, r) => n + r.batches, 0),
+  };
+}
+
+// Reshuffled groupings averaged for the BCa anchor of momMs
+const BCA_GROUPINGS = 25;
+
+// Evenly strided subset of at most `limit` values (all of them when limit is 0)
+function downsample(values, limit) {
+  const cap = Math.max(0, limit | 0);
+  if (cap === 0 || values.length <= cap) return values.slice();
+  const step = values.length / cap;
+  const sampled = [];
+  for (let i = 0; i < cap; i++) {
+    sampled.push(values.at(Math.floor(i * step)));
+  }
+  return sampled;
+}
 
+// Result row statistics from a cell's recorded samples
+function summarizeCell({ perIterSamples, perBatchTimesMs, perBatchIters = [], perBatchLatencyMs, histogram, totalIters, batches }, { cell, PER_BATCH_SAMPLE_LIMIT, streamSamples, concurrency = 1, timerGranularityMs = 0, MIN_BATCH_TICKS = 100, TREND_ALPHA = 0.01, TREND_MIN_CHANGE = 0.05, CI_METHOD = "bca", CI_CONFIDENCE = 0.95, ...precisionArgs }) {
+  const { algo, operation, variant = null, size, unit = "bytes" } = cell;
   const mu = mean(perIterSamples);
   const med = median(perIterSamples);
   const sd = stddev(perIterSamples, mu);
@@ -284,30 +846,70 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
   const iqr = q75 - q25;
 
   const mom = medianOfMeans(perIterSamples, 5);
-  const [ciLo, ciHi] = bootstrapCI(perIterSamples, 2000, workerPrng);
+  // The CI brackets the reported estimator (MoM); BCa keeps it centred on skewed samples. MoM
+  // depends on which samples share a group, so for BCa the bias is measured against MoM averaged
+  // over reshuffles (a single grouping's value is too noisy an anchor), and the acceleration comes
+  // from the mean, whose influence MoM shares.
+  const bcaArgs = CI_METHOD === "bca" && perIterSamples.length > 1
+    ? { pointEstimate: median(Array.from({ length: BCA_GROUPINGS }, () => medianOfMeans(shuffled(perIterSamples), 5))), acceleration: jackknifeAcceleration(perIterSamples, mean) }
+    : {};
+  const ciConfidence = confidenceLevel(CI_CONFIDENCE);
+  const [ciLo, ciHi] = bootstrapCI(perIterSamples, 2000, workerPrng, { estimator: (xs) => medianOfMeans(xs, 5), confidence: ciConfidence, method: CI_METHOD, ...bcaArgs });
+
+  // Timer resolution: the bootstrap only sees the spread, so the CI is widened by the worst-case
+  // quantization error. The cell is timer-limited when its batches stayed under half the tick
+  // floor, or quantization alone explains at least half the samples' standard deviation.
+  const quantization = quantizationError(perBatchIters, timerGranularityMs);
+  const timerLimited = timerGranularityMs > 0 && (median(perBatchTimesMs) < 0.5 * minBatchMs(timerGranularityMs, MIN_BATCH_TICKS) || quantization.sdMs >= 0.5 * sd);
+
+  // Drift inside the cell: a significant Mann-Kendall trend counts only if Sen's slope moves the
+  // per-op time by at least TREND_MIN_CHANGE of the median across the recorded batches
+  const trend = mannKendall(perIterSamples, { alpha: TREND_ALPHA });
+  const trendChange = med > 0 ? Math.abs(trend.slope) * Math.max(0, perIterSamples.length - 1) / med : 0;
+  const trendDetected = trend.significant && trendChange >= TREND_MIN_CHANGE;
+
+  // Outlier batches (MoM absorbs them, so they would otherwise go unnoticed). The budget they
+  // cost is the time high outliers took beyond a median-speed batch of the same size.
+  const outliers = classifyOutliers(perIterSamples);
+  let outlierExcessMs = 0;
+  outliers.tukey.classes.forEach((c, i) => {
+    if (c === "highMild" || c === "highSevere") outlierExcessMs += (perBatchTimesMs.at(i) ?? 0) * (1 - med / perIterSamples.at(i));
+  });
+  const recordedMs = perBatchTimesMs.reduce((sum, t) => sum + t, 0);
+  const outlierCounts = ({ lowMild, lowSevere, highMild, highSevere }) => ({ lowMild, lowSevere, highMild, highSevere });
+
+  // Achieved precision: at the stopping rule's corrected confidence when a target is set
+  const precision = precisionRule({ ...precisionArgs, CI_CONFIDENCE: ciConfidence });
+  const precisionAchieved = relativeHalfWidth(perIterSamples, precision ? precision.z : normalQuantile(0.5 + ciConfidence / 2), quantization.boundMs);
 
   // Downsample per-batch times for diagnostics payload if needed
-  let perBatchOut = perBatchTimesMs.slice();
-  const limit = Math.max(0, PER_BATCH_SAMPLE_LIMIT | 0);
-  if (limit > 0 && perBatchOut.length > limit) {
-    const step = perBatchOut.length / limit;
-    const sampled = [];
-    for (let i = 0; i < limit; i++) {
-  sampled.push(perBatchOut.at(Math.floor(i * step)));
-    }
-    perBatchOut = sampled;
-  }
+  const perBatchOut = downsample(perBatchTimesMs, PER_BATCH_SAMPLE_LIMIT);
 
   // Note: primary streaming was done inside the batch loop above.
 
   const opsPerSec = mom > 0 ? (1000 / mom) : 0;
+  // With several ops in flight, momMs is wall time per op (aggregate throughput) while
+  // latencyMs is how long each op waited from dispatch to settle
+  const latencyMs = concurrency > 1 ? medianOfMeans(perBatchLatencyMs, 5) : mom;
+  // Data throughput (decimal MB/s) for byte-sized inputs
+  const throughputMBps = unit === "bytes" && mom > 0 ? (size / 1e6) / (mom / 1000) : null;
   const out = {
     // Core identifiers
     algo,
-    sizeBytes: size,
+    operation,
+    variant,
+    inputShape: cell.shape ?? null,
+    sizeBytes: unit === "bytes" ? size : null,
+    inputSize: size,
+    inputUnit: unit,
     // Primary robust metrics (per-op times in ms)
     momMs: mom,
-    bootstrapCi95Ms: [ciLo, ciHi],
+    bootstrapCiMs: [Math.max(0, ciLo - quantization.boundMs), ciHi + quantization.boundMs],
+    ciConfidence,
+    ciMethod: CI_METHOD,
+    // Worst-case timer quantization error of momMs (included in the CI) and whether the clock dominates
+    quantizationErrorMs: quantization.boundMs,
+    timerLimited,
     medianMs: med,
     iqrMs: iqr,
     // Quality & debug metrics
@@ -318,7 +920,27 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
     batches,
     // Throughput
     opsPerSec,
+    throughputMBps,
+    // Concurrency (ops kept in flight) and the per-op latency at that level
+    concurrency,
+    latencyMs,
+    // Trend and level shifts over the recorded batches (slope in ms per op per batch)
+    trendDetected,
+    trendSlopeMs: trend.slope,
+    trendPValue: trend.pValue,
+    changePoints: changePoints(perIterSamples),
+    // Relative CI half-width of the mean, the target (null when unset) and whether it was reached
+    precisionAchieved: Number.isFinite(precisionAchieved) ? precisionAchieved : null,
+    precisionTarget: precision ? precision.target : null,
+    precisionMet: precision ? precisionAchieved <= precision.target : null,
+    // Outlier counts per rule; the Tukey severe count and the lost budget share drive the UI flags
+    outliers: { tukey: outlierCounts(outliers.tukey), mad: outlierCounts(outliers.mad) },
+    severeOutliers: outliers.tukey.lowSevere + outliers.tukey.highSevere,
+    outlierBudgetShare: recordedMs > 0 ? outlierExcessMs / recordedMs : 0,
+    // Per-op batch times (downsampled) for run-to-run comparison of exports; never submitted
+    samplesMs: downsample(perIterSamples, PER_BATCH_SAMPLE_LIMIT),
   };
+  if (histogram) out.latency = summarizeLatency(histogram, timerGranularityMs);
   // Keep perBatchMs only in debug/dev builds for local inspection
   if (self && self.DEBUG && streamSamples) {
     try { out.perBatchMs = perBatchOut.slice(); } catch {}
@@ -326,9 +948,116 @@ async function measureCell({ algo, size, warmupIters, measureIters, targetMinMs,
   return out;
 }
 
+async function measureCell(args) {
+  const samples = await sampleCell(args);
+  return samples ? summarizeCell(samples, args) : null;
+}
+
+// Sorted, de-duplicated positive integer concurrency levels; [1] when none are given
+function normalizeConcurrencyLevels(input) {
+  const levels = [...new Set((Array.isArray(input) ? input : [input]).map((v) => Math.trunc(Number(v))).filter((v) => Number.isFinite(v) && v >= 1))];
+  levels.sort((a, b) => a - b);
+  return levels.length > 0 ? levels : [1];
+}
+
+/**
+ * Generation barrier over a SharedArrayBuffer: blocks until `parties` workers have arrived.
+ * The last arriver resets the count and bumps the generation, waking the others together.
+ */
+function barrierWait(barrier, parties) {
+  const generation = Atomics.load(barrier, B_GENERATION);
+  if (Atomics.add(barrier, B_ARRIVED, 1) + 1 >= parties) {
+    Atomics.store(barrier, B_ARRIVED, 0);
+    Atomics.add(barrier, B_GENERATION, 1);
+    Atomics.notify(barrier, B_GENERATION);
+    return;
+  }
+  const deadline = self.performance.now() + BARRIER_TIMEOUT_MS;
+  while (Atomics.load(barrier, B_GENERATION) === generation) {
+    if (Atomics.load(barrier, B_ABORT) !== 0) throw new Error("Parallel run aborted by a peer worker");
+    const remaining = deadline - self.performance.now();
+    if (remaining <= 0) {
+      Atomics.store(barrier, B_ABORT, 1);
+      Atomics.notify(barrier, B_GENERATION);
+      throw new Error("Start barrier timed out");
+    }
+    Atomics.wait(barrier, B_GENERATION, generation, Math.min(remaining, 250));
+  }
+}
+
+// Parallel throughput run: every worker of the group runs the same cell inside the same
+// barrier-aligned window and reports how many operations it completed.
+self.addEventListener("message", async (ev) => {
+  const { cmd, cfg } = ev.data || {};
+  if (cmd !== "parallel") return;
+  try {
+    if (!(cfg?.barrier instanceof SharedArrayBuffer)) throw new Error("Parallel run requires a SharedArrayBuffer barrier");
+    const barrier = new Int32Array(cfg.barrier);
+    const { workerIndex = 0, workerCount = 1, windowMs = 1000, warmupMs = 250, poolSize = 8 } = cfg;
+    const cells = planCells(Array.isArray(cfg.operations) ? cfg.operations : []);
+    for (let cellIndex = 0; cellIndex < cells.length; cellIndex++) {
+      const cell = cells.at(cellIndex);
+      let op = null;
+      let error = null;
+      try {
+        op = await createOperationContext(cell, poolSize);
+        // Warm the JIT and the native path before the aligned window
+        const warmEnd = self.performance.now() + warmupMs;
+        for (let i = 0; self.performance.now() < warmEnd; i++) await op.invoke(i);
+      } catch (err) {
+        op = null;
+        error = String(err?.message || err);
+      }
+      // A failed setup still arrives, so the peers are never left waiting
+      barrierWait(barrier, workerCount);
+      let ops = 0;
+      const start = self.performance.now();
+      const end = start + windowMs;
+      if (op) {
+        try {
+          while (self.performance.now() < end) {
+            await op.invoke(ops);
+            ops += 1;
+          }
+        } catch (err) {
+          error = String(err?.message || err);
+        }
+      }
+      const elapsedMs = self.performance.now() - start;
+      self.postMessage({ type: "parallel-result", payload: { workerIndex, cellIndex, algo: cell.algo, operation: cell.operation, variant: cell.variant ?? null, inputSize: cell.size, inputUnit: cell.unit, ops, elapsedMs, startEpochMs: self.performance.timeOrigin + start, ...(error ? { error } : {}) } });
+      // Nobody starts the next cell's warmup while a peer is still inside this window
+      barrierWait(barrier, workerCount);
+    }
+    self.postMessage({ type: "parallel-done", workerIndex });
+  } catch (err) {
+    self.postMessage({ type: "error", error: String(err?.message || err) });
+  } finally {
+    inputPools.clear();
+  }
+});
+
+// Graceful stop: finish the current batch, report finished cells, then `done` with partial: true
+self.addEventListener("message", (ev) => {
+  const cmd = ev.data?.cmd;
+  if (cmd === "cancel") {
+    cancelRequested = true;
+  } else if (cmd === "pause" && !paused) {
+    paused = true;
+    pauseCount += 1;
+    wlog("progress", { phase: "paused", message: "Paused while the page is hidden…" });
+  } else if (cmd === "resume" && paused) {
+    paused = false;
+    wlog("progress", { phase: "resumed", message: "Resuming…" });
+  }
+});
+
 self.addEventListener("message", async (ev) => {
   const { cmd, cfg } = ev.data || {};
   if (cmd !== "measure") return;
+  cancelRequested = false;
+  paused = false;
+  pauseCount = 0;
+  pausedMs = 0;
   try {
   // Wire debug flag from main thread (strictly opt-in)
   try { self.DEBUG = Boolean(cfg?.DEBUG); } catch {}
@@ -337,12 +1066,14 @@ self.addEventListener("message", async (ev) => {
       self.postMessage({ type: "error", error: "Cross-origin isolation required." });
       return;
     }
-    wlog("log", { phase: "start", cfg: { algos: cfg?.algos?.length || 0, sizes: cfg?.sizes?.length || 0 } });
-    const { algos, sizes } = cfg || {};
+    const operations = Array.isArray(cfg?.operations) ? cfg.operations : operationsFromConfig(cfg);
+    wlog("log", { phase: "start", cfg: { operations: operations.map((e) => e?.op), algos: operations.reduce((n, e) => n + (e?.algos?.length || 0), 0) } });
   const {
       warmupIters = 100,
       measureIters = 20,
       CALIBRATION_ITERS = 20,
+      CALIBRATION_MAX_MS = 1000,
+      WARMUP_MAX_MS = 1000,
       TOTAL_BUDGET_MS = 60000,
       TARGET_BATCH_MS = 200,
       CV_FLAG_THRESHOLD = 0.10,
@@ -351,6 +1082,27 @@ self.addEventListener("message", async (ev) => {
   MIN_RECORDED_BATCHES = 8,
   PER_BATCH_SAMPLE_LIMIT = 40,
   poolSize = 8,
+  maxPayloadBytes = 0,
+  RESUME_SETTLE_MS = 1000,
+  THERMAL_REFERENCE_MS = 50,
+  THERMAL_DRIFT_THRESHOLD = 0.10,
+  THERMAL_RECOVERY_THRESHOLD = 0.05,
+  THERMAL_COOLDOWN_STEP_MS = 500,
+  THERMAL_MAX_COOLDOWN_MS = 15000,
+  TREND_ALPHA = 0.01,
+  TREND_MIN_CHANGE = 0.05,
+  CI_METHOD = "bca",
+  CI_CONFIDENCE = 0.95,
+  PRECISION_TARGET = null,
+  PRECISION_MIN_BATCHES = 10,
+  PRECISION_MAX_BATCHES = 128,
+  SCHEDULE = "sequential",
+  SCHEDULE_ROUNDS = 4,
+  ALLOCATION = "sqrt-time",
+  RESERVE_FRACTION = 0.3,
+  HARD_DEADLINE_FACTOR = 1.25,
+  STREAM_STATS = true,
+  MIN_BATCH_TICKS = 100,
   modeRequested = "universal",
   pairedRunId = "",
   crossOriginIsolated = false,
@@ -370,6 +1122,7 @@ self.addEventListener("message", async (ev) => {
         sabMask = cap - 1;
       }
     }
+    cancelCtrl = sabCtrl;
 
 
   // Phase 0: Environment Probing
@@ -384,9 +1137,54 @@ self.addEventListener("message", async (ev) => {
         Atomics.store(sabCtrl, H_WR_HEAD, 0);
         Atomics.store(sabCtrl, H_COMMITTED, 0);
         Atomics.store(sabCtrl, H_DROPPED, 0);
+        Atomics.store(sabCtrl, H_CONSUMED, 0);
+        // From here on the ring holds measurement samples for the main-thread consumer
+        Atomics.or(sabCtrl, H_FLAGS, STREAM_FLAG);
       } catch {}
     }
 
+    // One-time async dispatch baseline, subtracted from single-flight rows as overheadCorrectedMs
+    self.postMessage({ type: "progress", phase: 0, message: "Probing async dispatch overhead…" });
+    const { promiseMs: promiseOverheadMs, emptyDigestMs: asyncOverheadMs } = await measureAsyncOverhead();
+
+    // Start-of-run thermal reference (median of three passes after a warm-up pass); every later
+    // check is relative to it
+    self.postMessage({ type: "progress", phase: 0, message: "Measuring thermal reference…" });
+    await measureThermalReference(THERMAL_REFERENCE_MS);
+    const thermalBaselineMs = median([
+      await measureThermalReference(THERMAL_REFERENCE_MS),
+      await measureThermalReference(THERMAL_REFERENCE_MS),
+      await measureThermalReference(THERMAL_REFERENCE_MS),
+    ]);
+    const runStartMs = self.performance.now();
+    const thermalTrace = [{ tMs: 0, referenceMs: thermalBaselineMs, drift: 0, afterCell: null, cooldown: false }];
+    let thermalCooldownMs = 0;
+    // Relative slowdown of the reference; 0.10 = 10 % slower than at the start of the run
+    const driftOf = (referenceMs) => (thermalBaselineMs > 0 && referenceMs > 0 ? referenceMs / thermalBaselineMs - 1 : 0);
+    async function checkThermal(afterCell, cooldown = false) {
+      let referenceMs = await measureThermalReference(THERMAL_REFERENCE_MS);
+      // One slow reading is often a GC pause or a scheduler hiccup: throttling survives a re-run
+      if (!cooldown && driftOf(referenceMs) > THERMAL_DRIFT_THRESHOLD) {
+        referenceMs = Math.min(referenceMs, await measureThermalReference(THERMAL_REFERENCE_MS));
+      }
+      const drift = driftOf(referenceMs);
+      thermalTrace.push({ tMs: self.performance.now() - runStartMs, referenceMs, drift, afterCell, cooldown });
+      return drift;
+    }
+    // Idle in steps until the reference recovers or the cap runs out; true if still throttled
+    async function coolDown(afterCell) {
+      const stepMs = Math.max(50, THERMAL_COOLDOWN_STEP_MS);
+      let waitedMs = 0;
+      let drift;
+      do {
+        await sleep(stepMs);
+        waitedMs += stepMs;
+        thermalCooldownMs += stepMs;
+        drift = await checkThermal(afterCell, true);
+      } while (drift > THERMAL_RECOVERY_THRESHOLD && waitedMs < THERMAL_MAX_COOLDOWN_MS && !isCancelled() && !paused);
+      return drift > THERMAL_RECOVERY_THRESHOLD;
+    }
+
     // Optional debug-only PRNG seed fingerprint (privacy-safe, never sent by default)
     let debugSeedFingerprint = null;
     if (self.DEBUG && typeof seedFingerprintHex === "function") {
@@ -395,105 +1193,434 @@ self.addEventListener("message", async (ev) => {
       } catch {}
     }
 
+    // Test matrix, in plan order, expanded from the named operation descriptors.
+    // Capability checks run once per (operation, algorithm) and once per input shape;
+    // unsupported cells are reported, not measured. Levels listed in cfg.skipCells were finished
+    // by a checkpointed earlier session and are neither calibrated nor measured again.
+    const concurrencyLevels = normalizeConcurrencyLevels(cfg?.concurrencyLevels ?? [cfg?.concurrency]);
+    const skipCells = new Set(Array.isArray(cfg?.skipCells) ? cfg.skipCells.map(String) : []);
+    const pendingLevels = (cell) => concurrencyLevels.filter((concurrency) => !skipCells.has(cellKey({ ...cell, concurrency })));
+    let skippedMeasurements = 0;
+    const cells = [];
+    const capability = new Map();
+    const shapeCapability = new Map();
+    const planned = planCells(operations);
+    // The worker's registry is authoritative (a custom entry may register operations the main
+    // thread does not know): report the matrix size before anything is measured
+    self.postMessage({ type: "plan", cells: planned.length * concurrencyLevels.length });
+    for (const cell of planned) {
+      const key = `${cell.op}\u0000${cell.algo}`;
+      if (!capability.has(key)) {
+        const descriptor = getOperation(cell.op);
+        let supported = false;
+        try {
+          supported = Boolean(descriptor) && await descriptor.isSupported({ subtle: self.crypto?.subtle, algo: cell.algo, options: cell.options, randomBytes });
+        } catch {}
+        capability.set(key, supported);
+      }
+      if (cell.shape && !shapeCapability.has(cell.shape)) {
+        shapeCapability.set(cell.shape, INPUT_SHAPES.has(cell.shape) && await inputShapeSupported(cell.shape));
+      }
+      if (cell.shape && !shapeCapability.get(cell.shape)) {
+        self.postMessage({ type: "result", payload: { ...errorRow(cell, INPUT_SHAPES.has(cell.shape) ? "Input shape not accepted by this browser" : `Unknown input shape: ${cell.shape}`), unsupported: true, timerGranularityMs } });
+      } else if (maxPayloadBytes > 0 && cellFootprintBytes(cell, poolSize) > maxPayloadBytes) {
+        self.postMessage({ type: "result", payload: { ...errorRow(cell, `Cell setup exceeds memory cap (${Math.round(maxPayloadBytes / 1048576)} MiB)`), unsupported: true, timerGranularityMs } });
+      } else if (capability.get(key)) {
+        const pending = pendingLevels(cell).length;
+        skippedMeasurements += concurrencyLevels.length - pending;
+        if (pending > 0) cells.push(cell);
+      } else {
+        self.postMessage({ type: "result", payload: { ...errorRow(cell, getOperation(cell.op) ? "Not supported in this browser" : `Unknown operation: ${cell.op}`), unsupported: true, timerGranularityMs } });
+      }
+    }
+
+    // "shuffled" and "interleaved" schedules visit cells in a seeded random order (calibration too),
+    // so no algorithm or size is systematically measured late in the run
+    if (SCHEDULE === "shuffled" || SCHEDULE === "interleaved") cells.splice(0, cells.length, ...shuffled(cells));
+
+    // A resumed run only spends the remaining measurements' share of the budget
+    const pendingMeasurements = cells.reduce((s, c) => s + pendingLevels(c).length, 0);
+    const budgetMs = skippedMeasurements > 0 ? TOTAL_BUDGET_MS * (pendingMeasurements / (pendingMeasurements + skippedMeasurements)) : TOTAL_BUDGET_MS;
+    // Hard deadline for calibration and measurement together (rounds, remediation, cooldowns and
+    // top-ups included): its clock starts before the first cell is calibrated and stands still
+    // while the run waits out a pause
+    const deadlineMs = budgetMs * Math.max(1, Number(HARD_DEADLINE_FACTOR) || 1);
+    const deadlineStartMs = self.performance.now();
+    const timeLeftMs = () => Math.max(0, deadlineStartMs + pausedMs + deadlineMs - self.performance.now());
+
     // Phase 1: Calibration
-    const totalCells = (algos?.length || 0) * (sizes?.length || 0);
+    const totalCells = cells.length;
     let cellsCalibrated = 0;
     const calibrationData = [];
 
-    async function calibrateCell(algo, size) {
-      const subtle = self.crypto?.subtle;
-      const pool = createRandomDataPool(size, Math.max(1, poolSize | 0));
+    // Past the deadline a cell is timed on a single cold call: a rough (high) estimate, but one
+    // that still sizes its first batches safely
+    async function calibrateCell(cell, truncated = false) {
+      const op = await createOperationContext(cell, poolSize);
+      if (truncated) {
+        const start = self.performance.now();
+        await op.invoke(0);
+        return self.performance.now() - start;
+      }
+      // Both loops are also capped by CALIBRATION_MAX_MS so slow operations calibrate on fewer
+      // calls, and stop when the deadline passes
+      const maxMs = Math.max(10, Number(CALIBRATION_MAX_MS) || 0);
       // --- START ADDITION ---
       // Brief fixed warmup to allow JIT optimization before calibration
       const WARMUP_N = 50;
+      const warmStart = self.performance.now();
       for (let i = 0; i < WARMUP_N; i++) {
-        await subtle.digest(algo, pool.at(i % pool.length));
+        await op.invoke(i);
+        if (self.performance.now() - warmStart > maxMs || timeLeftMs() <= 0 || isCancelled() || paused) break;
       }
       // --- END ADDITION ---
       const N = Math.max(1, CALIBRATION_ITERS | 0);
+      let done = 0;
       const start = self.performance.now();
-      for (let i = 0; i < N; i++) {
-        await subtle.digest(algo, pool.at(i % pool.length));
+      let end = start;
+      while (done < N) {
+        await op.invoke(done);
+        done += 1;
+        end = self.performance.now();
+        if (end - start > maxMs || timeLeftMs() <= 0 || isCancelled() || paused) break;
       }
-      const end = self.performance.now();
       const total = Math.max(0, end - start);
-      const perOp = total / N;
+      const perOp = total / done;
       return perOp;
     }
 
-    for (const algo of algos) {
-      for (const size of sizes) {
-        try {
-          const time = await calibrateCell(algo, size);
-          calibrationData.push({ algo, size, time });
-          cellsCalibrated += 1;
-          self.postMessage({ type: "progress", phase: 1, message: "Phase 1/3: Calibrating performance…", completed: cellsCalibrated, total: totalCells });
-        } catch (cellErr) {
-          calibrationData.push({ algo, size, time: Number.POSITIVE_INFINITY, error: String(cellErr?.message || cellErr) });
-          cellsCalibrated += 1;
-          self.postMessage({ type: "progress", phase: 1, message: "Phase 1/3: Calibrating performance…", completed: cellsCalibrated, total: totalCells });
-        }
+    for (const cell of cells) {
+      if (isCancelled()) break;
+      try {
+        // Calibrate again if a pause overlapped: a hidden tab's timings would skew the plan
+        let time;
+        let pausesBefore;
+        let calibrationTruncated;
+        do {
+          if (paused) await waitForResume(RESUME_SETTLE_MS);
+          pausesBefore = pauseCount;
+          // Checked once per attempt: a cell cut short mid-calibration keeps what it timed
+          calibrationTruncated = timeLeftMs() <= 0;
+          time = await calibrateCell(cell, calibrationTruncated);
+        } while (pauseCount !== pausesBefore && !isCancelled());
+        calibrationData.push({ ...cell, time, calibrationTruncated });
+        cellsCalibrated += 1;
+        self.postMessage({ type: "progress", phase: 1, message: "Phase 1/3: Calibrating performance…", completed: cellsCalibrated, total: totalCells });
+      } catch (cellErr) {
+        calibrationData.push({ ...cell, time: Number.POSITIVE_INFINITY, error: String(cellErr?.message || cellErr) });
+        cellsCalibrated += 1;
+        self.postMessage({ type: "progress", phase: 1, message: "Phase 1/3: Calibrating performance…", completed: cellsCalibrated, total: totalCells });
       }
     }
 
     // Phase 2: Budget Allocation
-    const weights = calibrationData.map((c) => 1 / Math.sqrt(Math.max(1e-12, c.time)));
-    const totalWeight = weights.reduce((s, w) => s + (isFinite(w) ? w : 0), 0) || 1;
-    const measurementPlan = calibrationData.map((cell) => {
-      const w = 1 / Math.sqrt(Math.max(1e-12, cell.time));
-      const wSafe = isFinite(w) ? w : 0;
-      const allocatedMs = TOTAL_BUDGET_MS * (wSafe / totalWeight);
-      return { algo: cell.algo, size: cell.size, allocatedMs, calibrationTimeMs: cell.time };
+    // Cells whose single op already exceeds a target batch (e.g. large payloads) cannot be sized
+    // by weight: they get MIN_RECORDED_BATCHES single-op batches reserved up front, and the rest
+    // of the budget is split across the other cells by 1 / sqrt(calibration time). The "neyman"
+    // strategy first holds RESERVE_FRACTION of that rest back for remediation and for top-ups
+    // driven by the variance each cell actually showed.
+    const targetBatchPlanMs = Math.max(10, TARGET_BATCH_MS || 125, minBatchMs(timerGranularityMs, MIN_BATCH_TICKS));
+    const minBatchesPlan = Math.max(1, MIN_RECORDED_BATCHES | 0);
+    const isLongOp = (c) => Number.isFinite(c.time) && c.time > targetBatchPlanMs;
+    const weightOf = (c) => {
+      if (isLongOp(c)) return 0;
+      const w = 1 / Math.sqrt(Math.max(1e-12, c.time));
+      return isFinite(w) ? w : 0;
+    };
+    const reservedMs = calibrationData.reduce((s, c) => s + (isLongOp(c) ? c.time * minBatchesPlan : 0), 0);
+    const holdbackMs = ALLOCATION === "neyman" ? Math.max(0, budgetMs - reservedMs) * Math.min(0.9, Math.max(0, Number(RESERVE_FRACTION) || 0)) : 0;
+    const sharedBudgetMs = Math.max(0, budgetMs - reservedMs - holdbackMs);
+    const totalWeight = calibrationData.reduce((s, c) => s + weightOf(c), 0) || 1;
+    // Concurrency sweep: each calibrated cell is measured once per pending level, sharing its allocation
+    const measurementPlan = calibrationData.flatMap((cell) => {
+      const allocatedMs = isLongOp(cell) ? cell.time * minBatchesPlan : sharedBudgetMs * (weightOf(cell) / totalWeight);
+      const { time, error, ...planned } = cell;
+      const levels = pendingLevels(cell);
+      return levels.map((concurrency, levelIndex) => ({ ...planned, concurrency, levelIndex, levelCount: levels.length, allocatedMs: allocatedMs / levels.length, calibrationTimeMs: time }));
     });
+    const totalMeasurements = measurementPlan.length;
+
+    // Measure a cell, waiting out pauses: a pause mid-cell discards the partial measurement and
+    // measures the cell again, re-warmed by measureCell, once the page is visible and settled
+    async function measureResumable(args, measure = measureCell) {
+      let wasInterrupted = false;
+      for (;;) {
+        if (paused) await waitForResume(RESUME_SETTLE_MS);
+        if (isCancelled()) return { result: null, interrupted: wasInterrupted };
+        const result = await measure(args);
+        if (result || isCancelled()) return { result, interrupted: wasInterrupted };
+        wasInterrupted = true;
+      }
+    }
+    let sweepRows = [];
+    // A sweep split across a checkpoint has no baseline level in this session: it gets no summary
+    let sweepSplit = false;
+    // Finished cells by plan index: the row as posted and the raw samples behind it
+    const measuredRows = new Map();
+    const measuredSamples = new Map();
+
+    // Arguments shared by a cell's first measurement, its rounds and any remediation re-runs
+    const argsFor = (cell) => ({ cell, calibrationTimeMs: cell.calibrationTimeMs, WARMUP_MAX_MS, warmupIters, measureIters, targetMinMs: cell.allocatedMs, poolSize, TARGET_BATCH_MS, CV_STOP_THRESHOLD, MIN_RECORDED_BATCHES, PER_BATCH_SAMPLE_LIMIT, PER_CELL_MAX_BATCHES: Number(cfg?.PER_CELL_MAX_BATCHES) || 100, sabCtrl, sabData, sabMask, sabCapacity, streamSamples: Boolean((STREAM_STATS || cfg?.includePerBatchInPayload) && sabCtrl && sabData && sabMask), streamConsumed: Boolean(STREAM_STATS), concurrency: cell.concurrency, recordLatency: Boolean(cfg?.recordLatency), timerGranularityMs, MIN_BATCH_TICKS, TREND_ALPHA, TREND_MIN_CHANGE, CI_METHOD, CI_CONFIDENCE, PRECISION_TARGET, PRECISION_MIN_BATCHES, PRECISION_MAX_BATCHES });
 
     // Phase 3: Measurement with Remediation
+    // Later cells shrink to what is left before the deadline, and remediation only spends time no
+    // later cell needs
+    const fitToDeadline = (allocatedMs, remaining) => Math.min(allocatedMs, timeLeftMs() / Math.max(1, remaining));
+    const allocationAfter = (idx) => measurementPlan.slice(idx + 1).reduce((sum, c) => sum + c.allocatedMs, 0);
+    let holdbackLeftMs = holdbackMs;
+    // A significant drift inside the cell is as disqualifying as a high CV
+    const stableResult = (r) => typeof r.coefficientOfVariation === "number" && r.coefficientOfVariation <= CV_FLAG_THRESHOLD && !r.trendDetected;
     let cellsMeasured = 0;
+    // Set when a cooldown hit its cap: the next cell starts on a throttled device
+    let stillThrottled = false;
+    // Reference check after a cell (or round): throttled on drift right after it, or when the
+    // cooldown before it ran out without recovery
+    async function thermalAfterCell(idx) {
+      let drift = null;
+      if (!isCancelled() && !paused) {
+        try { drift = await checkThermal(idx); } catch {}
+      }
+      const throttled = stillThrottled || (drift !== null && drift > THERMAL_DRIFT_THRESHOLD);
+      return { drift, throttled };
+    }
+    async function coolDownAfter(idx, drift) {
+      // Only as long as the reference stays slow; a cap that runs out flags the next cell too
+      stillThrottled = false;
+      if (drift !== null && drift > THERMAL_DRIFT_THRESHOLD && !isCancelled()) {
+        try { stillThrottled = await coolDown(idx); } catch {}
+      }
+    }
+
+    // Interleaved schedule: each cell's allocation is split into SCHEDULE_ROUNDS rounds that visit
+    // the cells in plan order (ABAB…), so drift over the run spreads evenly across cells. A cell's
+    // rounds are merged into one measurement, then remediated below like a sequential cell.
+    // Its context and batch size are built on the first visit and kept for the later ones, and
+    // each round gets an equal share of whatever its earlier visits (setup included) left over.
+    const scheduleRounds = SCHEDULE === "interleaved" ? Math.max(1, SCHEDULE_ROUNDS | 0) : 1;
+    const interleaved = new Map();
+    if (scheduleRounds > 1) {
+      for (let idx = 0; idx < measurementPlan.length; idx++) interleaved.set(idx, { rounds: [], interrupted: false, thermalDrift: null, thermalThrottled: false, error: null, prepared: {}, spentMs: 0 });
+      for (let round = 0; round < scheduleRounds && !isCancelled(); round++) {
+        for (let idx = 0; idx < measurementPlan.length && !isCancelled(); idx++) {
+          const cell = measurementPlan.at(idx);
+          const entry = interleaved.get(idx);
+          if (entry.error) continue;
+          self.postMessage({ type: "progress", phase: 2, message: `Round ${round + 1}/${scheduleRounds}: ${cellLabel(cell)} @ ${axisLabel(cell.size, cell.unit)}…`, current: idx + 1, total: totalMeasurements, completed: (round * measurementPlan.length + idx) / scheduleRounds });
+          const args = argsFor(cell);
+          const visitsLeft = (scheduleRounds - round) * measurementPlan.length - idx;
+          try {
+            const { result: samples, interrupted } = await measureResumable({
+              ...args,
+              targetMinMs: fitToDeadline(Math.max(0, args.targetMinMs - entry.spentMs) / (scheduleRounds - round), visitsLeft),
+              MIN_RECORDED_BATCHES: Math.ceil(MIN_RECORDED_BATCHES / scheduleRounds),
+              PER_CELL_MAX_BATCHES: Math.ceil(args.PER_CELL_MAX_BATCHES / scheduleRounds),
+              // Rounds run their share of the budget; the precision target is judged on the merge
+              PRECISION_TARGET: null,
+              // The first round starts the cell's streamed samples, later ones extend them
+              streamSegment: round === 0 ? "replace" : "append",
+              prepared: entry.prepared,
+            }, sampleCell);
+            if (!samples) break;
+            entry.rounds.push(samples);
+            entry.spentMs += samples.elapsedMs;
+            entry.interrupted = entry.interrupted || interrupted;
+          } catch (err) {
+            if (isCancelled()) break;
+            entry.error = String(err?.message || err);
+            continue;
+          }
+          const { drift, throttled } = await thermalAfterCell(idx);
+          entry.thermalThrottled = entry.thermalThrottled || throttled;
+          if (drift !== null) entry.thermalDrift = Math.max(entry.thermalDrift ?? drift, drift);
+          await coolDownAfter(idx, drift);
+        }
+      }
+      // Kept contexts hold their keys and input pools: release them once the rounds are over
+      for (const entry of interleaved.values()) entry.prepared = null;
+    }
     for (let idx = 0; idx < measurementPlan.length; idx++) {
+      if (isCancelled()) break;
       const cell = measurementPlan.at(idx);
-      const { algo, size, allocatedMs } = cell;
-      self.postMessage({ type: "progress", phase: 2, message: `Measuring ${algo} @ ${Math.round(size / 1024)}KB…`, current: cellsMeasured + 1, total: totalCells, completed: cellsMeasured });
+      const { size, unit } = cell;
+      // Emit the sweep summary once the last level of a cell is done
+      if (cell.levelIndex === 0) {
+        if (sweepRows.length > 0 && !sweepSplit) {
+          const summary = summarizeScaling(sweepRows);
+          if (summary) self.postMessage({ type: "scaling", payload: summary });
+        }
+        sweepRows = [];
+        sweepSplit = cell.levelCount < concurrencyLevels.length;
+      }
+      self.postMessage({ type: "progress", phase: 2, message: `Measuring ${cellLabel(cell)} @ ${axisLabel(size, unit)}…`, current: cellsMeasured + 1, total: totalMeasurements, completed: cellsMeasured });
       let remediationAttempts = 0;
       let result;
+      let samples = null;
+      let interrupted = false;
+      const targetMinMs = fitToDeadline(cell.allocatedMs, totalMeasurements - idx);
+      // Set when the deadline shortened the cell or stopped its remediation
+      let budgetLimited = targetMinMs < cell.allocatedMs * 0.999;
+      const measureArgs = { ...argsFor(cell), targetMinMs };
+      // Interleaved cells arrive here already measured, as merged rounds
+      const pre = interleaved.get(idx);
     try {
-  result = await measureCell({ algo, size, warmupIters, measureIters, targetMinMs: allocatedMs, poolSize, TARGET_BATCH_MS, CV_STOP_THRESHOLD, MIN_RECORDED_BATCHES, PER_BATCH_SAMPLE_LIMIT, PER_CELL_MAX_BATCHES: Number(cfg?.PER_CELL_MAX_BATCHES) || 100, sabCtrl, sabData, sabMask, sabCapacity, streamSamples: Boolean(cfg?.includePerBatchInPayload && sabCtrl && sabData && sabMask), concurrency: Math.max(1, Number(cfg?.concurrency) | 0) || 1 });
+        if (pre?.error) throw new Error(pre.error);
+        if (pre) {
+          samples = mergeSamples(pre.rounds);
+          interrupted = pre.interrupted;
+        } else {
+  ({ result: samples, interrupted } = await measureResumable(measureArgs, sampleCell));
+        }
+        result = samples ? summarizeCell(samples, measureArgs) : null;
       } catch (err) {
-        self.postMessage({ type: "result", payload: { algo, sizeBytes: size, error: String(err?.message || err), timerGranularityMs } });
+        if (isCancelled()) break;
+        self.postMessage({ type: "result", payload: { ...errorRow(cell, String(err?.message || err)), concurrency: cell.concurrency, timerGranularityMs } });
         cellsMeasured += 1;
         continue;
       }
+      // Cancelled mid-cell: only finished cells are reported
+      if (!result) break;
 
-      let isStable = typeof result.coefficientOfVariation === "number" && result.coefficientOfVariation <= CV_FLAG_THRESHOLD;
-      while (!isStable && remediationAttempts < Math.max(0, MAX_REMEDIATION_ATTEMPTS | 0)) {
+      let isStable = stableResult(result);
+      while (!isStable && remediationAttempts < Math.max(0, MAX_REMEDIATION_ATTEMPTS | 0) && !isCancelled()) {
+        // A re-run costs about the cell's allocation: only slack before the deadline pays for it,
+        // and with the neyman strategy it is drawn from the reserve (what the reserve cannot
+        // cover is left to the top-up pass)
+        if (timeLeftMs() - allocationAfter(idx) < cell.allocatedMs) {
+          budgetLimited = true;
+          break;
+        }
+        if (ALLOCATION === "neyman" && holdbackLeftMs < cell.allocatedMs) break;
         remediationAttempts += 1;
-        self.postMessage({ type: "progress", phase: 3, message: "Re-running unstable tests for accuracy…", current: cellsMeasured + 1, total: totalCells });
+        self.postMessage({ type: "progress", phase: 3, message: "Re-running unstable tests for accuracy…", current: cellsMeasured + 1, total: totalMeasurements });
         try {
-          result = await measureCell({ algo, size, warmupIters, measureIters, targetMinMs: allocatedMs, poolSize, TARGET_BATCH_MS: TARGET_BATCH_MS * 1.5, CV_STOP_THRESHOLD, MIN_RECORDED_BATCHES, PER_BATCH_SAMPLE_LIMIT, PER_CELL_MAX_BATCHES: Number(cfg?.PER_CELL_MAX_BATCHES) || 100, sabCtrl, sabData, sabMask, sabCapacity, streamSamples: Boolean(cfg?.includePerBatchInPayload && sabCtrl && sabData && sabMask), concurrency: Math.max(1, Number(cfg?.concurrency) | 0) || 1 });
-          isStable = typeof result.coefficientOfVariation === "number" && result.coefficientOfVariation <= CV_FLAG_THRESHOLD;
+          // An interrupted re-run keeps the previous complete measurement
+          const retryStartMs = self.performance.now();
+          const retry = await measureResumable({ ...measureArgs, TARGET_BATCH_MS: TARGET_BATCH_MS * 1.5 }, sampleCell);
+          if (ALLOCATION === "neyman") holdbackLeftMs = Math.max(0, holdbackLeftMs - (self.performance.now() - retryStartMs));
+          interrupted = interrupted || retry.interrupted;
+          if (!retry.result) break;
+          samples = retry.result;
+          result = summarizeCell(samples, measureArgs);
+          isStable = stableResult(result);
         } catch (err2) {
-          self.postMessage({ type: "result", payload: { algo, sizeBytes: size, error: String(err2?.message || err2), timerGranularityMs } });
+          self.postMessage({ type: "result", payload: { ...errorRow(cell, String(err2?.message || err2)), concurrency: cell.concurrency, timerGranularityMs } });
           cellsMeasured += 1;
           continue;
         }
       }
 
+      // Reference right after the cell: drift here means the cell ran at least partly throttled.
+      // Interleaved cells that were not re-run keep the worst drift seen after their rounds.
+      const remeasured = !pre || remediationAttempts > 0;
+      const thermal = remeasured ? await thermalAfterCell(idx) : { drift: pre.thermalDrift, throttled: false };
+      const thermalDrift = thermal.drift;
+      const thermalThrottled = thermal.throttled || Boolean(pre?.thermalThrottled);
+
       const finalRow = {
         ...result,
+        // Work-only estimate: MoM minus the empty round trip (not meaningful with ops overlapping)
+        overheadCorrectedMs: result.concurrency > 1 || !(asyncOverheadMs > 0) ? null : Math.max(0, result.momMs - asyncOverheadMs),
         isStable,
         remediationAttempts,
+        // Pauses so far in the run, and whether this cell was discarded and re-measured after one
+        pauseCount,
+        interrupted,
+        // Reference drift measured right after the cell, and whether the cell ran throttled
+        thermalDrift,
+        thermalThrottled,
+        // Position in the measurement order and the schedule that produced it
+        orderIndex: idx,
+        schedule: SCHEDULE,
+        // Planned time, reserve top-up granted afterwards, and whether the budget cut the cell short
+        allocatedMs: cell.allocatedMs,
+        reserveMs: 0,
+        budgetLimited,
+        // Calibrated on a single call because the deadline had already passed
+        calibrationTruncated: Boolean(cell.calibrationTruncated),
       };
       self.postMessage({ type: "result", payload: finalRow });
+      if (concurrencyLevels.length > 1) sweepRows.push(finalRow);
+      measuredRows.set(idx, finalRow);
+      measuredSamples.set(idx, samples);
+      cellsMeasured += 1;
+      if (isCancelled()) break;
       // --- THERMAL COOLDOWN ---
-      if (cfg?.isMobile) {
-        await sleep(1500);
+      if (remeasured) await coolDownAfter(idx, thermalDrift);
+    }
+
+    // Neyman top-up: what is left of the reserve goes to the cells whose means are least certain.
+    // Minimizing Σ CV²/n for the time spent gives each cell time ∝ CV · √(batch duration). Each
+    // top-up is merged with the cell's samples and the row is posted again as `revised`.
+    let reserveSpentMs = holdbackMs - holdbackLeftMs;
+    if (ALLOCATION === "neyman" && !isCancelled() && measuredRows.size > 0) {
+      const poolMs = Math.min(holdbackLeftMs, timeLeftMs());
+      // Cells that already reached the precision target need no more time
+      const candidates = [...measuredRows.keys()].filter((idx) => measuredRows.get(idx).precisionMet !== true).map((idx) => {
+        const samples = measuredSamples.get(idx);
+        const batchMs = mean(samples.perBatchTimesMs);
+        return { idx, samples, batchMs, weight: coefficientOfVariation(samples.perIterSamples) * Math.sqrt(Math.max(0, batchMs)) };
+      });
+      const totalNeymanWeight = candidates.reduce((sum, c) => sum + c.weight, 0);
+      for (const { idx, samples, batchMs, weight } of candidates) {
+        if (isCancelled() || !(totalNeymanWeight > 0)) break;
+        const extraMs = Math.min(poolMs * (weight / totalNeymanWeight), timeLeftMs());
+        // Too little for a couple of batches is not worth another warmup
+        if (!(extraMs >= 2 * batchMs)) continue;
+        const cell = measurementPlan.at(idx);
+        const previous = measuredRows.get(idx);
+        const args = argsFor(cell);
+        self.postMessage({ type: "progress", phase: 3, message: `Refining ${cellLabel(cell)} @ ${axisLabel(cell.size, cell.unit)}…`, current: totalMeasurements, total: totalMeasurements, completed: totalMeasurements });
+        let more = null;
+        let moreInterrupted = false;
+        const topUpStartMs = self.performance.now();
+        try {
+          ({ result: more, interrupted: moreInterrupted } = await measureResumable({ ...args, targetMinMs: extraMs, MIN_RECORDED_BATCHES: 1, PRECISION_TARGET: null, streamSegment: "append" }, sampleCell));
+        } catch {}
+        reserveSpentMs += self.performance.now() - topUpStartMs;
+        if (!more) continue;
+        const merged = mergeSamples([samples, more]);
+        const result = summarizeCell(merged, args);
+        const thermal = await thermalAfterCell(idx);
+        const revisedRow = {
+          ...previous,
+          ...result,
+          overheadCorrectedMs: result.concurrency > 1 || !(asyncOverheadMs > 0) ? null : Math.max(0, result.momMs - asyncOverheadMs),
+          isStable: stableResult(result),
+          pauseCount,
+          interrupted: previous.interrupted || moreInterrupted,
+          thermalDrift: thermal.drift ?? previous.thermalDrift,
+          thermalThrottled: previous.thermalThrottled || thermal.throttled,
+          reserveMs: extraMs,
+          // Replaces the row posted for the same cell in the first pass
+          revised: true,
+        };
+        self.postMessage({ type: "result", payload: revisedRow });
+        measuredRows.set(idx, revisedRow);
+        measuredSamples.set(idx, merged);
+        await coolDownAfter(idx, thermal.drift);
       }
-      cellsMeasured += 1;
     }
+    const partial = isCancelled() && cellsMeasured < totalMeasurements;
+    // A sweep cut short would name a saturation point from the levels that happened to finish
+    if (sweepRows.length > 0 && !partial && !sweepSplit) {
+      const summary = summarizeScaling(sweepRows);
+      if (summary) self.postMessage({ type: "scaling", payload: summary });
+    }
+    const shapeComparison = compareInputShapes([...measuredRows.values()]);
+    if (shapeComparison.length > 0) self.postMessage({ type: "shape-comparison", payload: shapeComparison });
+    // Overhead and per-byte cost across the size ladder, from the final (possibly revised) rows
+    const sizeScaling = fitSizeScaling([...measuredRows.values()]);
+    if (sizeScaling.length > 0) self.postMessage({ type: "size-scaling", payload: sizeScaling });
     if (sabCtrl) {
-      const f = Atomics.load(sabCtrl, H_FLAGS) | DONE_FLAG;
-      Atomics.store(sabCtrl, H_FLAGS, f);
+      // Atomic OR: the main thread may be raising CANCEL_FLAG concurrently
+      Atomics.or(sabCtrl, H_FLAGS, DONE_FLAG);
     }
-  self.postMessage({ type: "done", meta: { timerGranularityMs, sabOverheadMs, crossOriginIsolated: self.crossOriginIsolated === true, ...(self.DEBUG && debugSeedFingerprint ? { debugSeedFingerprint } : {}) } });
+    cancelCtrl = null;
+  self.postMessage({ type: "done", partial, cellsCompleted: cellsMeasured, cellsPlanned: totalMeasurements, cellsSkipped: skippedMeasurements, meta: { timerGranularityMs, sabOverheadMs, asyncOverheadMs, promiseOverheadMs, pauseCount, thermalBaselineMs, thermalCooldownMs, thermalTrace, budget: { strategy: ALLOCATION, budgetMs, deadlineMs, reserveMs: holdbackMs, reserveSpentMs, elapsedMs: self.performance.now() - deadlineStartMs, pausedMs }, schedule: { strategy: SCHEDULE, rounds: scheduleRounds, order: measurementPlan.map((c) => ({ algo: c.algo, operation: c.operation, variant: c.variant ?? null, inputShape: c.shape ?? null, inputSize: c.size, inputUnit: c.unit, concurrency: c.concurrency })) }, crossOriginIsolated: self.crossOriginIsolated === true, ...(self.DEBUG && debugSeedFingerprint ? { debugSeedFingerprint } : {}) } });
   } catch (err) {
     self.postMessage({ type: "error", error: String(err?.message || err) });
+  } finally {
+    // Pools are reused within a run only
+    inputPools.clear();
   }
 });
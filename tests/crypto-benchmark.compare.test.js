@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+import { describe, it, expect } from "vitest";
+import { mulberry32 } from "../src/utils/prng.js";
+import { compareRuns } from "../src/crypto-benchmark.compare.js";
+
+const row = (algo, samplesMs, extra = {}) => ({ algo, operation: "digest", inputSize: 1024, inputUnit: "bytes", concurrency: 1, samplesMs, ...extra });
+const ramp = (base) => Array.from({ length: 30 }, (_, i) => base + (i % 10) / 100);
+
+describe("compareRuns", () => {
+  it("classifies a clearly slower cell and an unchanged one", () => {
+    const baseline = { results: [row("SHA-256", ramp(1)), row("SHA-512", ramp(2))] };
+    const candidate = { results: [row("SHA-256", ramp(1.5)), row("SHA-512", ramp(2))] };
+    const { cells, summary } = compareRuns(baseline, candidate, { resamples: 500, prng: mulberry32(1) });
+    expect(cells.map((c) => [c.algo, c.verdict])).toEqual([["SHA-256", "slower"], ["SHA-512", "no-change"]]);
+    expect(cells.at(0).hodgesLehmannMs).toBeCloseTo(0.5, 10);
+    expect(summary).toEqual({ faster: 0, slower: 1, unchanged: 1, insufficient: 0 });
+  });
+
+  it("uses the confidence level recorded in the baseline export unless one is passed", () => {
+    const baseline = { ciConfidence: 0.8, results: [row("SHA-256", ramp(1))] };
+    const candidate = { ciConfidence: 0.99, results: [row("SHA-256", ramp(1.01))] };
+    const recorded = compareRuns(baseline, candidate, { resamples: 500, prng: mulberry32(1) });
+    const explicit = compareRuns(baseline, candidate, { resamples: 500, prng: mulberry32(1), confidence: 0.99 });
+    expect(recorded.confidence).toBe(0.8);
+    expect(explicit.confidence).toBe(0.99);
+    const width = ({ cells }) => cells.at(0).diffCiMs[1] - cells.at(0).diffCiMs[0];
+    expect(width(explicit)).toBeGreaterThan(width(recorded));
+  });
+
+  it("lists unmatched cells and cells without samples", () => {
+    const baseline = [row("SHA-256", [1, 2]), row("SHA-384", ramp(1))];
+    const candidate = [row("SHA-256", [1, 2]), row("SHA-1", ramp(1))];
+    const result = compareRuns(baseline, candidate, { resamples: 100, prng: mulberry32(1) });
+    expect(result.cells.at(0).verdict).toBe("insufficient-data");
+    expect(result.onlyInBaseline.map((c) => c.algo)).toEqual(["SHA-384"]);
+    expect(result.onlyInCandidate.map((c) => c.algo)).toEqual(["SHA-1"]);
+    expect(result.warnings).toHaveLength(1);
+  });
+});
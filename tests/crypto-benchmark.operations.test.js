@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+import { describe, it, expect } from "vitest";
+import { registerOperation, getOperation, listOperations, planCells, cellKey, operationsFromConfig } from "../src/crypto-benchmark.operations.js";
+
+const noop = { isSupported: async () => true, setup: async () => ({ invoke: async () => {} }) };
+
+describe("registerOperation", () => {
+  it("registers built-in descriptors on import", () => {
+    expect(listOperations()).toEqual(expect.arrayContaining(["digest", "encrypt", "decrypt", "sign", "verify", "deriveBits", "generateKey", "importKey", "exportKey"]));
+    expect(getOperation("deriveBits").family).toBe("derive");
+  });
+
+  it("rejects descriptors without an id, setup or capability check", () => {
+    expect(() => registerOperation({ ...noop, id: " " })).toThrow(TypeError);
+    expect(() => registerOperation({ id: "no-setup", isSupported: noop.isSupported })).toThrow(/setup/);
+    expect(() => registerOperation({ id: "no-check", setup: noop.setup })).toThrow(/isSupported/);
+  });
+
+  it("defaults the family to the id", () => {
+    registerOperation({ ...noop, id: "test-op" });
+    expect(getOperation("test-op").family).toBe("test-op");
+  });
+});
+
+describe("planCells", () => {
+  it("expands algorithms × sizes in plan order on a bytes axis", () => {
+    const cells = planCells([{ op: "digest", algos: ["SHA-256", "SHA-512"], sizes: [1024, 4096] }]);
+    expect(cells.map((c) => [c.algo, c.size, c.unit])).toEqual([
+      ["SHA-256", 1024, "bytes"],
+      ["SHA-256", 4096, "bytes"],
+      ["SHA-512", 1024, "bytes"],
+      ["SHA-512", 4096, "bytes"],
+    ]);
+    expect(cells.at(0)).toMatchObject({ op: "digest", operation: "digest", family: "digest", variant: null, shape: null });
+  });
+
+  it("repeats bytes-axis cells per input shape", () => {
+    const cells = planCells([{ op: "digest", algos: ["SHA-256"], sizes: [64], shapes: ["uint8array", "dataview"] }]);
+    expect(cells.map((c) => c.shape)).toEqual(["uint8array", "dataview"]);
+  });
+
+  it("uses the descriptor's axis for derivation cells", () => {
+    const cells = planCells([{ op: "deriveBits", algos: ["PBKDF2-SHA-256", "HKDF-SHA-256", "X25519"], iterations: [1000, 10000], lengths: [256] }]);
+    expect(cells.map((c) => [c.algo, c.size, c.unit])).toEqual([
+      ["PBKDF2-SHA-256", 1000, "iterations"],
+      ["PBKDF2-SHA-256", 10000, "iterations"],
+      ["HKDF-SHA-256", 256, "bits"],
+      ["X25519", 256, "bits"],
+    ]);
+  });
+
+  it("splits key cells per supported format", () => {
+    const cells = planCells([{ op: "exportKey", algos: ["RSA-PSS"], moduli: [2048], formats: ["raw", "jwk", "spki"] }]);
+    expect(cells.map((c) => [c.variant, c.size])).toEqual([["jwk", 2048], ["spki", 2048]]);
+  });
+
+  it("still expands unregistered operations on a bytes axis", () => {
+    const cells = planCells([{ op: "unknown-op", algos: ["X"], sizes: [32] }]);
+    expect(cells).toEqual([expect.objectContaining({ op: "unknown-op", family: "unknown-op", size: 32, unit: "bytes" })]);
+  });
+
+  it("tolerates a missing or malformed entry list", () => {
+    expect(planCells(undefined)).toEqual([]);
+    expect(planCells([{ op: "digest" }])).toEqual([]);
+  });
+});
+
+describe("cellKey", () => {
+  it("joins the identity fields with NUL separators", () => {
+    expect(cellKey({ operation: "digest", algo: "SHA-256", size: 1024, unit: "bytes", concurrency: 2 })).toBe("digest\u0000SHA-256\u0000\u0000\u00001024\u0000bytes\u00002");
+  });
+
+  it("matches a planned cell to its result row", () => {
+    const [cell] = planCells([{ op: "exportKey", algos: ["ECDSA-P-256"], formats: ["jwk"] }]);
+    const row = { operation: "exportKey", algo: "ECDSA-P-256", variant: "jwk", inputShape: null, inputSize: cell.size, inputUnit: cell.unit, concurrency: 1 };
+    expect(cellKey(row)).toBe(cellKey({ ...cell, concurrency: 1 }));
+  });
+
+  it("defaults the concurrency to 1 and separates the other axes", () => {
+    const base = { operation: "digest", algo: "SHA-256", shape: "uint8array", size: 64, unit: "bytes" };
+    expect(cellKey(base)).toBe(cellKey({ ...base, concurrency: 1 }));
+    expect(cellKey(base)).not.toBe(cellKey({ ...base, concurrency: 4 }));
+    expect(cellKey(base)).not.toBe(cellKey({ ...base, shape: "dataview" }));
+    expect(cellKey(base)).not.toBe(cellKey({ ...base, size: 640, unit: "bytes" }));
+  });
+});
+
+describe("operationsFromConfig", () => {
+  it("maps the family config onto one entry per operation", () => {
+    const entries = operationsFromConfig({ algos: ["SHA-256"], sizes: [1024], cipherAlgos: ["AES-GCM"], cipherKeyBits: 128 });
+    expect(entries.map((e) => e.op)).toEqual(["digest", "encrypt", "decrypt", "sign", "verify", "deriveBits", "generateKey", "importKey", "exportKey"]);
+    expect(entries.find((e) => e.op === "encrypt")).toMatchObject({ algos: ["AES-GCM"], sizes: [1024], options: { keyBits: 128 } });
+  });
+
+  it("plans only digest cells from a digest-only config", () => {
+    const cells = planCells(operationsFromConfig({ algos: ["SHA-256", "SHA-384"], sizes: [1024, 2048, 4096] }));
+    expect(cells).toHaveLength(6);
+    expect(new Set(cells.map((c) => c.op))).toEqual(new Set(["digest"]));
+  });
+});
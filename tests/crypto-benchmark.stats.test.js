@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+import { describe, it, expect } from "vitest";
+import { mulberry32 } from "../src/utils/prng.js";
+import { mean, median, stddev, quantile, medianOfMeans, confidenceLevel, jackknifeAcceleration, bootstrapCI, createLatencyHistogram, normalCdf, normalQuantile, senSlope, mannKendall, changePoints, mannWhitneyU, hodgesLehmann, holmAdjust, bootstrapDifferenceCI, weightedMedian, theilSenFit, classifyOutliers, createWelford, createP2Quantile, createRunningMoM } from "../src/crypto-benchmark.stats.js";
+
+describe("confidenceLevel", () => {
+  it("clamps the level and defaults to 0.95", () => {
+    expect(confidenceLevel(0.9)).toBe(0.9);
+    expect(confidenceLevel(0.2)).toBe(0.5);
+    expect(confidenceLevel(1)).toBe(0.999);
+    expect(confidenceLevel(undefined)).toBe(0.95);
+  });
+});
+
+describe("jackknifeAcceleration", () => {
+  it("is zero for symmetric data and tiny samples", () => {
+    expect(jackknifeAcceleration([1, 2, 3, 4, 5])).toBeCloseTo(0, 12);
+    expect(jackknifeAcceleration([1, 10])).toBe(0);
+  });
+
+  it("matches the jackknife skewness formula", () => {
+    // Leave-one-out means 4, 4, 4, 1 around 3.25: Σd³ = 10.125, Σd² = 6.75
+    expect(jackknifeAcceleration([1, 1, 1, 10])).toBeCloseTo(10.125 / (6 * 6.75 ** 1.5), 12);
+  });
+});
+
+describe("bootstrapCI", () => {
+  const skewed = Array.from({ length: 40 }, (_, i) => Math.exp(i / 10));
+  const symmetric = Array.from({ length: 40 }, (_, i) => i);
+
+  it("collapses for constant or single-value samples", () => {
+    expect(bootstrapCI([4, 4, 4, 4], 200)).toEqual([4, 4]);
+    expect(bootstrapCI([7], 200)).toEqual([7, 7]);
+  });
+
+  it("brackets the estimate and widens with the confidence level", () => {
+    const [lo80, hi80] = bootstrapCI(symmetric, 2000, mulberry32(3), { confidence: 0.8 });
+    const [lo99, hi99] = bootstrapCI(symmetric, 2000, mulberry32(3), { confidence: 0.99 });
+    expect(lo80).toBeLessThan(mean(symmetric));
+    expect(hi80).toBeGreaterThan(mean(symmetric));
+    expect(lo99).toBeLessThan(lo80);
+    expect(hi99).toBeGreaterThan(hi80);
+  });
+
+  it("shifts the BCa interval towards the long tail of skewed data", () => {
+    const [pLo, pHi] = bootstrapCI(skewed, 2000, mulberry32(3));
+    const [bLo, bHi] = bootstrapCI(skewed, 2000, mulberry32(3), { method: "bca" });
+    expect(bLo).toBeGreaterThan(pLo);
+    expect(bHi).toBeGreaterThan(pHi);
+  });
+
+  it("uses the supplied point estimate and acceleration", () => {
+    // A point estimate below every resample drives z0 to its floor and the interval to the bottom
+    const [lo, hi] = bootstrapCI(symmetric, 500, mulberry32(3), { method: "bca", pointEstimate: -1e9, acceleration: 0 });
+    const [percentileLo] = bootstrapCI(symmetric, 500, mulberry32(3));
+    expect(lo).toBeLessThanOrEqual(hi);
+    expect(hi).toBeLessThan(percentileLo);
+    expect(bootstrapCI(symmetric, 500, mulberry32(3), { method: "bca", acceleration: 0 })).not.toEqual(bootstrapCI(symmetric, 500, mulberry32(3), { method: "bca", acceleration: 0.3 }));
+  });
+});
+
+describe("createLatencyHistogram", () => {
+  it("reports percentiles within one sub-bucket above the exact value", () => {
+    const h = createLatencyHistogram();
+    for (let v = 1; v <= 100; v++) h.record(v);
+    expect(h.count).toBe(100);
+    expect(h.minMs).toBe(1);
+    expect(h.maxMs).toBe(100);
+    expect(h.percentile(50)).toBeGreaterThanOrEqual(50);
+    expect(h.percentile(50)).toBeLessThanOrEqual(50 * (1 + 1 / 64));
+    expect(h.percentile(90)).toBeGreaterThanOrEqual(90);
+    expect(h.percentile(90)).toBeLessThanOrEqual(90 * (1 + 1 / 64));
+    expect(h.percentile(100)).toBe(100);
+  });
+
+  it("clamps percentiles to the observed range", () => {
+    const h = createLatencyHistogram();
+    h.record(3);
+    expect(h.percentile(0)).toBe(3);
+    expect(h.percentile(99.9)).toBe(3);
+  });
+
+  it("ignores negative and non-finite values", () => {
+    const h = createLatencyHistogram();
+    h.record(-1);
+    h.record(Number.NaN);
+    h.record(Number.POSITIVE_INFINITY);
+    expect(h.count).toBe(0);
+    expect(h.minMs).toBe(0);
+    expect(h.percentile(50)).toBe(0);
+  });
+
+  it("merges histograms recorded with the same options", () => {
+    const a = createLatencyHistogram();
+    const b = createLatencyHistogram();
+    [1, 2, 3].forEach((v) => a.record(v));
+    [10, 20].forEach((v) => b.record(v));
+    a.merge(b);
+    expect(a.count).toBe(5);
+    expect(a.minMs).toBe(1);
+    expect(a.maxMs).toBe(20);
+    const other = createLatencyHistogram({ subBuckets: 8 });
+    other.record(1000);
+    a.merge(other);
+    expect(a.count).toBe(5);
+    expect(a.maxMs).toBe(20);
+  });
+});
+
+describe("normalCdf", () => {
+  it("matches standard normal table values", () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normalCdf(1)).toBeCloseTo(0.841345, 6);
+    expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+    expect(normalCdf(-1.959964)).toBeCloseTo(0.025, 6);
+  });
+});
+
+describe("normalQuantile", () => {
+  it("matches standard normal table values", () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 9);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 6);
+    expect(normalQuantile(0.025)).toBeCloseTo(-1.959964, 6);
+    // Lower-tail branch (p < 0.02425)
+    expect(normalQuantile(0.001)).toBeCloseTo(-3.090232, 6);
+    expect(normalQuantile(0.999)).toBeCloseTo(3.090232, 6);
+  });
+
+  it("inverts normalCdf", () => {
+    for (const p of [0.01, 0.1, 0.3, 0.7, 0.9, 0.99]) expect(normalCdf(normalQuantile(p))).toBeCloseTo(p, 6);
+  });
+
+  it("handles the domain edges", () => {
+    expect(normalQuantile(0)).toBe(-Infinity);
+    expect(normalQuantile(1)).toBe(Infinity);
+    expect(normalQuantile(1.5)).toBeNaN();
+  });
+});
+
+describe("senSlope", () => {
+  it("returns the median pairwise slope", () => {
+    expect(senSlope([1, 3, 5, 7])).toBe(2);
+    // Pairwise slopes 0, 5, 10
+    expect(senSlope([0, 0, 10])).toBe(5);
+    expect(senSlope([4])).toBe(0);
+  });
+});
+
+describe("mannKendall", () => {
+  it("detects a monotonic increase", () => {
+    const result = mannKendall([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    // S = 45, Var(S) = 10·9·25 / 18 = 125, z = (45 - 1) / √125
+    expect(result.s).toBe(45);
+    expect(result.z).toBeCloseTo(44 / Math.sqrt(125), 10);
+    expect(result.pValue).toBeCloseTo(2 * (1 - normalCdf(44 / Math.sqrt(125))), 10);
+    expect(result).toMatchObject({ n: 10, significant: true, direction: "increasing", slope: 1 });
+  });
+
+  it("applies the tie correction", () => {
+    // Ties {1,1} and {2,2}: Var(S) = (8·7·21 - 2·(2·1·9)) / 18 = 63.33…
+    const result = mannKendall([1, 1, 2, 2, 3, 4, 5, 6]);
+    expect(result.s).toBe(26);
+    expect(result.z).toBeCloseTo(25 / Math.sqrt((8 * 7 * 21 - 36) / 18), 10);
+  });
+
+  it("reports no trend below the minimum sample count", () => {
+    expect(mannKendall([1, 2, 3, 4, 5])).toMatchObject({ n: 5, s: 0, pValue: 1, significant: false, direction: "none", slope: 1 });
+  });
+});
+
+describe("changePoints", () => {
+  it("finds a single level shift", () => {
+    expect(changePoints([0, 0, 0, 0, 0, 10, 10, 10, 10, 10])).toEqual([5]);
+  });
+
+  it("finds no change in a flat or short series", () => {
+    expect(changePoints([5, 5, 5, 5, 5, 5, 5, 5])).toEqual([]);
+    expect(changePoints([0, 10, 0])).toEqual([]);
+  });
+
+  it("keeps a split only when its gain exceeds the penalty", () => {
+    // The split at 3 lowers the squared-error cost by 6
+    const series = [0, 0, 0, 2, 2, 2];
+    expect(changePoints(series, { penalty: 5 })).toEqual([3]);
+    expect(changePoints(series, { penalty: 6 })).toEqual([]);
+  });
+});
+
+describe("mannWhitneyU", () => {
+  it("matches the normal approximation for fully separated samples", () => {
+    // U = 9, Var(U) = 3·3·7 / 12 = 5.25, z = (9 - 4.5 - 0.5) / √5.25
+    const { u, z, pValue } = mannWhitneyU([1, 2, 3], [4, 5, 6]);
+    expect(u).toBe(9);
+    expect(z).toBeCloseTo(4 / Math.sqrt(5.25), 10);
+    expect(pValue).toBeCloseTo(2 * (1 - normalCdf(4 / Math.sqrt(5.25))), 10);
+    expect(mannWhitneyU([4, 5, 6], [1, 2, 3]).z).toBeCloseTo(-z, 10);
+  });
+
+  it("uses midranks for ties", () => {
+    // Pooled ranks 1, 2.5, 2.5, 4: rank sum of b = 6.5, U = 6.5 - 3
+    expect(mannWhitneyU([1, 2], [2, 3]).u).toBe(3.5);
+  });
+
+  it("reports no difference for identical or empty samples", () => {
+    expect(mannWhitneyU([2, 2, 2], [2, 2, 2])).toEqual({ u: 4.5, z: 0, pValue: 1 });
+    expect(mannWhitneyU([], [1])).toEqual({ u: 0, z: 0, pValue: 1 });
+  });
+});
+
+describe("hodgesLehmann", () => {
+  it("returns the median pairwise difference b - a", () => {
+    // Differences -1, 0, 1, 1, 2, 3
+    expect(hodgesLehmann([1, 2, 3], [2, 4])).toBe(1);
+    expect(hodgesLehmann([], [1])).toBe(0);
+  });
+});
+
+describe("holmAdjust", () => {
+  it("adjusts step-down and keeps the input order", () => {
+    const adjusted = holmAdjust([0.01, 0.04, 0.03]);
+    expect(adjusted.at(0)).toBeCloseTo(0.03, 12);
+    expect(adjusted.at(1)).toBeCloseTo(0.06, 12);
+    expect(adjusted.at(2)).toBeCloseTo(0.06, 12);
+  });
+
+  it("caps at 1 and treats non-finite p-values as 1", () => {
+    expect(holmAdjust([0.5, Number.NaN])).toEqual([1, 1]);
+  });
+});
+
+describe("bootstrapDifferenceCI", () => {
+  it("collapses to the exact difference for constant samples", () => {
+    expect(bootstrapDifferenceCI([1, 1, 1], [3, 3, 3], { resamples: 200 })).toEqual([2, 2]);
+  });
+
+  it("brackets the shift between two samples and is reproducible with a seeded PRNG", () => {
+    const a = Array.from({ length: 40 }, (_, i) => 10 + (i % 10) / 10);
+    const b = a.map((x) => x + 1);
+    const [lo, hi] = bootstrapDifferenceCI(a, b, { resamples: 1000, prng: mulberry32(7) });
+    expect(lo).toBeLessThan(1);
+    expect(hi).toBeGreaterThan(1);
+    expect(lo).toBeGreaterThan(0.5);
+    expect(bootstrapDifferenceCI(a, b, { resamples: 1000, prng: mulberry32(7) })).toEqual([lo, hi]);
+  });
+
+  it("narrows at a lower confidence", () => {
+    const a = Array.from({ length: 40 }, (_, i) => i);
+    const b = a.map((x) => x + 5);
+    const [lo80, hi80] = bootstrapDifferenceCI(a, b, { resamples: 1000, prng: mulberry32(7), confidence: 0.8 });
+    const [lo99, hi99] = bootstrapDifferenceCI(a, b, { resamples: 1000, prng: mulberry32(7), confidence: 0.99 });
+    expect(lo99).toBeLessThan(lo80);
+    expect(hi99).toBeGreaterThan(hi80);
+  });
+
+  it("returns a zero interval for an empty side", () => {
+    expect(bootstrapDifferenceCI([], [1, 2])).toEqual([0, 0]);
+  });
+});
+
+describe("weightedMedian", () => {
+  it("returns the smallest value reaching half the total weight", () => {
+    expect(weightedMedian([1, 2, 3], [1, 1, 1])).toBe(2);
+    expect(weightedMedian([3, 1, 2], [10, 1, 1])).toBe(3);
+    // Cumulative 1 of 2 reaches the half exactly
+    expect(weightedMedian([1, 2], [1, 1])).toBe(1);
+  });
+
+  it("falls back to the plain median without positive weights", () => {
+    expect(weightedMedian([1, 2, 3, 4], [0, 0, 0, 0])).toBe(2.5);
+  });
+});
+
+describe("theilSenFit", () => {
+  it("recovers an exact line", () => {
+    const xs = [1, 2, 4, 8, 16];
+    const { slope, intercept, r2 } = theilSenFit(xs, xs.map((x) => 2 + 3 * x));
+    expect(slope).toBe(3);
+    expect(intercept).toBe(2);
+    expect(r2).toBe(1);
+  });
+
+  it("ignores a single outlying point", () => {
+    const xs = [0, 1, 2, 3, 4, 5];
+    const ys = [1, 3, 5, 7, 9, 100];
+    expect(theilSenFit(xs, ys)).toMatchObject({ slope: 2, intercept: 1 });
+  });
+
+  it("down-weights imprecise points", () => {
+    // The last point is off the line y = x; with a large sigma its slopes lose the vote
+    const xs = [0, 1, 2, 10];
+    const ys = [0, 1, 2, 30];
+    expect(theilSenFit(xs, ys).slope).toBeGreaterThan(1);
+    expect(theilSenFit(xs, ys, { sigmas: [1, 1, 1, 1000] }).slope).toBe(1);
+  });
+
+  it("returns a flat fit when every x is equal", () => {
+    expect(theilSenFit([5, 5, 5], [1, 2, 3])).toEqual({ slope: 0, intercept: 2, r2: 0 });
+  });
+});
+
+describe("classifyOutliers", () => {
+  it("applies the Tukey fences and the MAD rule", () => {
+    // Quartiles 3.5 and 8.5 (IQR 5); median 6, MAD 3
+    const { tukey, mad } = classifyOutliers([1, 2, 3, 4, 5, 6, 7, 8, 9, 17, 40]);
+    expect(tukey).toMatchObject({ lowMild: 0, lowSevere: 0, highMild: 1, highSevere: 1 });
+    expect(tukey.classes.slice(-2)).toEqual(["highMild", "highSevere"]);
+    // 17 scores 0.6745·11/3 ≈ 2.5 (inside), 40 scores ≈ 7.6 (severe)
+    expect(mad).toMatchObject({ lowMild: 0, lowSevere: 0, highMild: 0, highSevere: 1 });
+  });
+
+  it("classifies low outliers", () => {
+    const { tukey } = classifyOutliers([-40, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(tukey.classes.at(0)).toBe("lowSevere");
+  });
+
+  it("falls back to the mean absolute deviation when the MAD is zero", () => {
+    // IQR 0 leaves the fences undefined; scale = 1.2533 · 4/7, so 9 scores ≈ 5.6
+    const { tukey, mad } = classifyOutliers([5, 5, 5, 5, 5, 5, 9]);
+    expect(tukey.classes.every((c) => c === null)).toBe(true);
+    expect(mad.classes.at(-1)).toBe("highMild");
+  });
+});
+
+describe("createWelford", () => {
+  it("matches the array mean and population standard deviation", () => {
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+    const w = createWelford();
+    values.forEach((v) => w.push(v));
+    w.push(Number.NaN);
+    expect(w.count).toBe(8);
+    expect(w.mean).toBe(5);
+    expect(w.variance).toBe(4);
+    expect(w.stddev).toBe(stddev(values));
+  });
+
+  it("reports zeros before any value", () => {
+    const w = createWelford();
+    expect([w.count, w.mean, w.variance, w.stddev]).toEqual([0, 0, 0, 0]);
+  });
+});
+
+describe("createP2Quantile", () => {
+  it("is exact for the first five values", () => {
+    const q = createP2Quantile(0.25);
+    [5, 1, 4, 2, 3].forEach((v) => q.push(v));
+    expect(q.value).toBe(quantile([1, 2, 3, 4, 5], 0.25));
+  });
+
+  it("reproduces the worked example of Jain and Chlamtac", () => {
+    const q = createP2Quantile(0.5);
+    [0.02, 0.15, 0.74, 3.39, 0.83, 22.37, 10.15, 15.43, 38.62, 15.92, 34.6, 10.28, 1.47, 0.4, 0.05, 11.39, 0.27, 0.42, 0.09, 11.37].forEach((v) => q.push(v));
+    expect(q.count).toBe(20);
+    expect(q.value).toBeCloseTo(4.44, 2);
+  });
+
+  it("tracks the quantile of a long stream", () => {
+    const q = createP2Quantile(0.75);
+    const values = Array.from({ length: 2000 }, (_, i) => (i * 7919) % 1000);
+    values.forEach((v) => q.push(v));
+    expect(Math.abs(q.value - quantile(values, 0.75))).toBeLessThan(10);
+  });
+});
+
+describe("createRunningMoM", () => {
+  it("equals medianOfMeans over the same values in order", () => {
+    const values = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8, 9, 7];
+    const mom = createRunningMoM(5);
+    values.forEach((v, i) => {
+      mom.push(v);
+      expect(mom.value).toBeCloseTo(medianOfMeans(values.slice(0, i + 1), 5), 12);
+    });
+  });
+
+  it("uses one value per group below k values", () => {
+    const mom = createRunningMoM(5);
+    [4, 1, 3].forEach((v) => mom.push(v));
+    expect(mom.value).toBe(median([4, 1, 3]));
+    expect(createRunningMoM(5).value).toBe(0);
+  });
+});
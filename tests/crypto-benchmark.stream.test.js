@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+import { describe, it, expect } from "vitest";
+import { createStreamConsumer } from "../src/crypto-benchmark.stream.js";
+import { cellKey } from "../src/crypto-benchmark.operations.js";
+import { medianOfMeans } from "../src/crypto-benchmark.stats.js";
+
+const CAPACITY = 16;
+const H_FLAGS = 1;
+const H_COMMITTED = 3;
+const H_CONSUMED = 5;
+const STREAM_FLAG = 1 << 2;
+
+// A ring laid out as the worker lays it out, with a writer that publishes samples
+function createRing() {
+  const sab = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * 8 + Float64Array.BYTES_PER_ELEMENT * CAPACITY);
+  const ctrl = new Int32Array(sab, 0, 8);
+  const data = new Float64Array(sab, Int32Array.BYTES_PER_ELEMENT * 8);
+  const write = (...samples) => {
+    for (const sample of samples) {
+      const head = Atomics.load(ctrl, H_COMMITTED);
+      data.set([sample], head & (CAPACITY - 1));
+      Atomics.store(ctrl, H_COMMITTED, head + 1);
+    }
+  };
+  return { sab, ctrl, write };
+}
+
+const cell = { operation: "digest", algo: "SHA-256", size: 1024, unit: "bytes", concurrency: 1 };
+
+describe("createStreamConsumer", () => {
+  it("reads nothing until the worker raises the stream flag", () => {
+    const { sab, write } = createRing();
+    const stream = createStreamConsumer(sab, CAPACITY);
+    write(1, 2);
+    expect(stream.drain()).toBe(0);
+  });
+
+  it("drains published samples and reports the read position back", () => {
+    const { sab, ctrl, write } = createRing();
+    Atomics.or(ctrl, H_FLAGS, STREAM_FLAG);
+    const stream = createStreamConsumer(sab, CAPACITY);
+    write(1, 2, 3);
+    expect(stream.drain()).toBe(3);
+    expect(Atomics.load(ctrl, H_CONSUMED)).toBe(3);
+    expect(stream.live()).toMatchObject({ samples: 3, meanMs: 2 });
+  });
+
+  it("keeps only the committed segments of a cell", () => {
+    const { sab, ctrl, write } = createRing();
+    Atomics.or(ctrl, H_FLAGS, STREAM_FLAG);
+    const stream = createStreamConsumer(sab, CAPACITY);
+    const key = cellKey(cell);
+    // A discarded attempt (0–2), a kept one (3–5), then an appended round (6–7)
+    write(9, 9, 9, 1, 2, 3);
+    stream.commitSegment({ key, start: 3, end: 6, mode: "replace" });
+    write(4, 5);
+    stream.commitSegment({ key, start: 6, end: 8, mode: "append" });
+    expect(stream.cell(key)).toMatchObject({ samples: 5, meanMs: 3 });
+    expect(stream.live().samples).toBe(0);
+  });
+
+  it("cross-checks a result row against the streamed samples", () => {
+    const { sab, ctrl, write } = createRing();
+    Atomics.or(ctrl, H_FLAGS, STREAM_FLAG);
+    const stream = createStreamConsumer(sab, CAPACITY);
+    const samples = [1, 2, 3, 4, 5, 6, 7];
+    write(...samples);
+    stream.commitSegment({ key: cellKey(cell), start: 0, end: samples.length, mode: "replace" });
+    const row = { ...cell, size: undefined, unit: undefined, inputSize: 1024, inputUnit: "bytes", momMs: medianOfMeans(samples, 5), batches: samples.length };
+    expect(stream.crossCheck(row)).toMatchObject({ samples: 7, complete: true, agrees: true, momDelta: 0 });
+    expect(stream.crossCheck({ ...row, batches: 8 })).toMatchObject({ complete: false, agrees: false });
+    expect(stream.crossCheck({ ...row, error: "failed" })).toBeNull();
+  });
+});
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: © 2025 David Osipov <personal@david-osipov.vision>
+// Unit tests run in Node; the bundler aliases used by the sources map to the local modules.
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@lib/prng.js": fileURLToPath(new URL("./src/utils/prng.js", import.meta.url)),
+    },
+  },
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "node",
+  },
+});